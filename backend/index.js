@@ -3,6 +3,7 @@ const axios = require("axios");
 
 // Constants
 const STRAVA_TOKEN_URL = "https://www.strava.com/oauth/token";
+const STRAVA_DEAUTHORIZE_URL = "https://www.strava.com/oauth/deauthorize";
 const OPENWEATHER_CURRENT_URL =
   "https://api.openweathermap.org/data/3.0/onecall";
 const OPENWEATHER_HISTORICAL_URL =
@@ -42,6 +43,8 @@ exports.handler = async (event) => {
       return await handleTokenExchange(JSON.parse(event.body || "{}"));
     } else if (path === "/refresh") {
       return await handleTokenRefresh(JSON.parse(event.body || "{}"));
+    } else if (path === "/deauthorize") {
+      return await handleDeauthorize(JSON.parse(event.body || "{}"));
     } else if (path === "/weather") {
       return await handleWeatherRequest(event);
     } else {
@@ -155,6 +158,49 @@ async function handleTokenRefresh(body) {
   }
 }
 
+/**
+ * Handles deauthorization, revoking the app's access to the athlete's
+ * Strava account. Strava invalidates every token of the athlete for this app.
+ */
+async function handleDeauthorize(body) {
+  try {
+    // Validate required fields
+    if (!body.access_token) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: "Missing required parameters" }),
+      };
+    }
+
+    // Make request to Strava API
+    const response = await axios.post(STRAVA_DEAUTHORIZE_URL, {
+      access_token: body.access_token,
+    });
+
+    // Return the athlete's access token that was revoked
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify(response.data),
+    };
+  } catch (error) {
+    console.error(
+      "Deauthorization error:",
+      error.response?.data || error.message
+    );
+
+    return {
+      statusCode: error.response?.status || 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        message: "Deauthorization failed",
+        error: error.response?.data?.message || error.message,
+      }),
+    };
+  }
+}
+
 /**
  * Handles weather API requests
  */
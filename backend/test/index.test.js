@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+// backend/test/index.test.js - Tests for the OAuth proxy handler
+const axios = require("axios");
+const { handler } = require("../index");
+
+jest.mock("axios", () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+}));
+
+const deauthorize = (body) =>
+  handler({
+    httpMethod: "POST",
+    path: "/deauthorize",
+    body: JSON.stringify(body),
+  });
+
+describe("OAuth proxy deauthorization", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test("should reject a request without an access token", async () => {
+    const response = await deauthorize({});
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body)).toEqual({
+      message: "Missing required parameters",
+    });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test("should revoke the access token with Strava", async () => {
+    axios.post.mockResolvedValue({ data: { access_token: "token" } });
+
+    const response = await deauthorize({ access_token: "token" });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      "https://www.strava.com/oauth/deauthorize",
+      { access_token: "token" }
+    );
+    expect(response.statusCode).toBe(200);
+    expect(response.headers["Access-Control-Allow-Origin"]).toBeDefined();
+    expect(JSON.parse(response.body)).toEqual({ access_token: "token" });
+  });
+
+  test("should pass on the status and message of a Strava error", async () => {
+    axios.post.mockRejectedValue({
+      message: "Request failed with status code 401",
+      response: { status: 401, data: { message: "Authorization Error" } },
+    });
+
+    const response = await deauthorize({ access_token: "expired" });
+
+    expect(response.statusCode).toBe(401);
+    expect(JSON.parse(response.body)).toEqual({
+      message: "Deauthorization failed",
+      error: "Authorization Error",
+    });
+  });
+
+  test("should answer 500 when Strava cannot be reached", async () => {
+    axios.post.mockRejectedValue(new Error("socket hang up"));
+
+    const response = await deauthorize({ access_token: "token" });
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error).toBe("socket hang up");
+  });
+});
@@ -1,7 +1,7 @@
 module.exports = {
   testEnvironment: "jsdom",
   transform: {
-    "\\.js$": ["babel-jest"],
+    "\\.js$": ["babel-jest", { configFile: "./bable.config.js" }],
   },
   setupFiles: ["./test/setup.js"],
   testPathIgnorePatterns: ["/node_modules/", "/dist/"],
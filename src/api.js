@@ -1,16 +1,136 @@
 // src/api.js - Service for interacting with Strava API
-import { getValidAccessToken } from "./auth.js";
+import { getActiveAthleteId, getValidAccessToken } from "./auth.js";
 import CONFIG from "./config.js";
+import { scheduleRequest, msUntilWindowReset } from "./services/rateLimiter.js";
+import { encodeFitCourse, FitSport } from "./services/fitEncoder.js";
+import { Sport } from "./services/weatherAnalysis.js";
+import { cumulativeDistances, decodePolyline } from "./utils/geo.js";
+import {
+  getAccountCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+} from "./services/responseCache.js";
+import {
+  ApiError,
+  AuthError,
+  MissingPolylineError,
+  NetworkError,
+  RateLimitError,
+  getResponseErrorMessage,
+} from "./errors.js";
+
+// How long cached responses stay fresh, in milliseconds
+const CACHE_TTL = {
+  SEGMENT: 7 * 24 * 60 * 60 * 1000,
+  ATHLETE: 24 * 60 * 60 * 1000,
+  STARRED: 60 * 60 * 1000,
+  EFFORTS: 60 * 60 * 1000,
+};
+
+// Speed used to give TCX course points their times (25 km/h)
+const DEFAULT_COURSE_SPEED = 25 / 3.6;
+
+// FIT sport of courses made from segments of each Strava activity type
+const FIT_SPORTS = {
+  [Sport.RIDE]: FitSport.CYCLING,
+  [Sport.RUN]: FitSport.RUNNING,
+};
+
+// Background revalidations in flight, keyed by cache key
+const revalidations = new Map();
 
 /**
- * Performs an authenticated request to the Strava API
+ * Performs an authenticated request to the Strava API as the active account.
+ * When a cache TTL is given, GET responses are cached persistently per
+ * account: fresh entries are returned directly, stale entries are returned
+ * while being refreshed in the background.
  * @param {string} endpoint - API endpoint (without base URL)
  * @param {Object} options - Fetch API options
+ * @param {number} options.cacheTtl - Cache the response for this many milliseconds
+ * @param {boolean} options.forceRefresh - Skip cached data but still update the cache
+ * @param {AbortSignal} options.signal - Signal that cancels the request
  * @returns {Promise<any>} Response data
+ * @throws {AuthError|RateLimitError|NetworkError|ApiError} When the request fails
+ * @throws {DOMException} AbortError when the signal aborts
  */
 async function apiRequest(endpoint, options = {}) {
+  const { cacheTtl, forceRefresh, ...fetchOptions } = options;
+
+  // Resolve the account once so the token and cache entry always match,
+  // even if the user switches accounts while the request is running
+  const athleteId = await getActiveAthleteId();
+
+  if (!cacheTtl) {
+    return fetchFromApi(endpoint, athleteId, fetchOptions);
+  }
+
+  const cacheKey = getAccountCacheKey(athleteId, endpoint);
+  const cached = forceRefresh ? null : await getCachedResponse(cacheKey);
+
+  if (cached) {
+    if (cached.isStale) {
+      // The refresh outlives the request that found the entry stale
+      revalidate(endpoint, athleteId, cacheTtl, {
+        ...fetchOptions,
+        signal: undefined,
+      });
+    }
+    return cached.value;
+  }
+
+  const data = await fetchFromApi(endpoint, athleteId, fetchOptions);
+  await cacheResponse(cacheKey, data, cacheTtl);
+  return data;
+}
+
+/**
+ * Refreshes a stale cache entry in the background
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {number} athleteId - Athlete id of the account
+ * @param {number} cacheTtl - Cache TTL in milliseconds
+ * @param {Object} fetchOptions - Fetch API options
+ */
+function revalidate(endpoint, athleteId, cacheTtl, fetchOptions) {
+  const cacheKey = getAccountCacheKey(athleteId, endpoint);
+  if (revalidations.has(cacheKey)) return;
+
+  const revalidation = fetchFromApi(endpoint, athleteId, fetchOptions)
+    .then((data) => cacheResponse(cacheKey, data, cacheTtl))
+    .catch((error) => {
+      console.error(`Error revalidating ${endpoint}:`, error);
+    })
+    .finally(() => revalidations.delete(cacheKey));
+
+  revalidations.set(cacheKey, revalidation);
+}
+
+/**
+ * Stores a response in the persistent cache; failures only cost a refetch
+ * @param {string} cacheKey - Cache key of the response
+ * @param {any} data - Response data
+ * @param {number} cacheTtl - Cache TTL in milliseconds
+ * @returns {Promise<void>}
+ */
+async function cacheResponse(cacheKey, data, cacheTtl) {
+  try {
+    await setCachedResponse(cacheKey, data, cacheTtl);
+  } catch (error) {
+    console.error(`Error caching ${cacheKey}:`, error);
+  }
+}
+
+/**
+ * Sends a request to the Strava API, bypassing the cache
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {number} athleteId - Athlete id of the account to authenticate as
+ * @param {Object} options - Fetch API options
+ * @returns {Promise<any>} Response data
+ * @throws {AuthError|RateLimitError|NetworkError|ApiError} When the request fails
+ * @throws {DOMException} AbortError when options.signal aborts
+ */
+async function fetchFromApi(endpoint, athleteId, options = {}) {
   try {
-    const accessToken = await getValidAccessToken();
+    const accessToken = await getValidAccessToken(athleteId);
 
     const url = `${CONFIG.STRAVA_API_BASE_URL}${endpoint}`;
     const headers = {
@@ -19,24 +139,41 @@ async function apiRequest(endpoint, options = {}) {
       ...options.headers,
     };
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
-    });
+    // Requests are queued so that bursts stay inside Strava's rate limits
+    const response = await scheduleRequest(
+      () =>
+        fetch(url, {
+          ...options,
+          headers,
+        }).catch((error) => {
+          if (error.name === "AbortError") throw error;
+          throw new NetworkError(undefined, { cause: error });
+        }),
+      { signal: options.signal }
+    );
 
     if (!response.ok) {
       // Handle 401 specially as it likely means token issues
       if (response.status === 401) {
-        throw new Error("Authentication failed. Please log in again.");
+        throw new AuthError(undefined, { status: 401 });
+      }
+
+      if (response.status === 429) {
+        throw new RateLimitError(undefined, {
+          retryAfter: Math.ceil(msUntilWindowReset() / 1000),
+        });
       }
 
-      const errorData = await response.json();
-      throw new Error(errorData.message || response.statusText);
+      throw new ApiError(await getResponseErrorMessage(response), {
+        status: response.status,
+      });
     }
 
     return response.json();
   } catch (error) {
-    console.error("API request error:", error);
+    if (error.name !== "AbortError") {
+      console.error("API request error:", error);
+    }
     throw error;
   }
 }
@@ -45,19 +182,109 @@ async function apiRequest(endpoint, options = {}) {
  * Gets a list of starred segments for the logged-in user
  * @param {number} page - Page number for pagination
  * @param {number} perPage - Number of items per page
+ * @param {boolean} forceRefresh - Ignore cached pages
  * @returns {Promise<Array>} List of starred segments
  */
-async function getStarredSegments(page = 1, perPage = 30) {
-  return apiRequest(`/segments/starred?page=${page}&per_page=${perPage}`);
+async function getStarredSegments(
+  page = 1,
+  perPage = 30,
+  forceRefresh = false
+) {
+  return apiRequest(`/segments/starred?page=${page}&per_page=${perPage}`, {
+    cacheTtl: CACHE_TTL.STARRED,
+    forceRefresh,
+  });
+}
+
+/**
+ * Iterates over every starred segment, one page at a time. Strava does not
+ * report a total, so pages are requested until a short page comes back.
+ * @param {number} perPage - Number of items per page (Strava allows up to 200)
+ * @param {boolean} forceRefresh - Ignore cached pages
+ * @yields {Array} Each page of starred segments as it arrives
+ */
+async function* getAllStarredSegments(perPage = 200, forceRefresh = false) {
+  let page = 1;
+
+  while (true) {
+    const segments = await getStarredSegments(page, perPage, forceRefresh);
+    if (segments.length > 0) {
+      yield segments;
+    }
+
+    if (segments.length < perPage) {
+      return;
+    }
+    page++;
+  }
 }
 
 /**
  * Gets detailed information about a specific segment
  * @param {string} segmentId - ID of the segment
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal that cancels the request
  * @returns {Promise<Object>} Segment details
  */
-async function getSegmentDetails(segmentId) {
-  return apiRequest(`/segments/${segmentId}`);
+async function getSegmentDetails(segmentId, { signal } = {}) {
+  return apiRequest(`/segments/${segmentId}`, {
+    cacheTtl: CACHE_TTL.SEGMENT,
+    signal,
+  });
+}
+
+/**
+ * Gets the logged-in athlete's efforts on a segment. Needs the activity:read
+ * scope; Strava answers 402 for athletes without a subscription.
+ * @param {string} segmentId - ID of the segment
+ * @param {number} page - Page number for pagination
+ * @param {number} perPage - Number of items per page
+ * @param {boolean} forceRefresh - Ignore cached pages
+ * @returns {Promise<Array>} List of segment efforts
+ */
+async function getSegmentEfforts(
+  segmentId,
+  page = 1,
+  perPage = 30,
+  forceRefresh = false
+) {
+  return apiRequest(
+    `/segment_efforts?segment_id=${segmentId}&page=${page}&per_page=${perPage}`,
+    { cacheTtl: CACHE_TTL.EFFORTS, forceRefresh }
+  );
+}
+
+/**
+ * Iterates over every effort of the logged-in athlete on a segment, one page
+ * at a time, until a short page comes back
+ * @param {string} segmentId - ID of the segment
+ * @param {number} perPage - Number of items per page (Strava allows up to 200)
+ * @param {boolean} forceRefresh - Ignore cached pages
+ * @yields {Array} Each page of segment efforts as it arrives
+ */
+async function* getAllSegmentEfforts(
+  segmentId,
+  perPage = 200,
+  forceRefresh = false
+) {
+  let page = 1;
+
+  while (true) {
+    const efforts = await getSegmentEfforts(
+      segmentId,
+      page,
+      perPage,
+      forceRefresh
+    );
+    if (efforts.length > 0) {
+      yield efforts;
+    }
+
+    if (efforts.length < perPage) {
+      return;
+    }
+    page++;
+  }
 }
 
 /**
@@ -65,19 +292,21 @@ async function getSegmentDetails(segmentId) {
  * @returns {Promise<Object>} Athlete profile
  */
 async function getAthleteProfile() {
-  return apiRequest("/athlete");
+  return apiRequest("/athlete", { cacheTtl: CACHE_TTL.ATHLETE });
 }
 
 /**
  * Extracts polyline data from segment and converts to coordinates
  * @param {string} segmentId - ID of the segment
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal that cancels the request
  * @returns {Promise<Array>} Array of [lat, lng] coordinates
  */
-async function getSegmentPolyline(segmentId) {
-  const segmentDetails = await getSegmentDetails(segmentId);
+async function getSegmentPolyline(segmentId, { signal } = {}) {
+  const segmentDetails = await getSegmentDetails(segmentId, { signal });
 
   if (!segmentDetails.map || !segmentDetails.map.polyline) {
-    throw new Error(`No polyline data available for segment ${segmentId}`);
+    throw new MissingPolylineError(segmentId);
   }
 
   // Convert the polyline to coordinates
@@ -85,52 +314,67 @@ async function getSegmentPolyline(segmentId) {
 }
 
 /**
- * Decodes a polyline string into an array of [latitude, longitude] coordinates
- * @param {string} encodedPolyline - Google encoded polyline string
- * @returns {Array} Array of [lat, lng] coordinates
+ * Gets the latlng, altitude and distance streams of a segment
+ * @param {string} segmentId - ID of the segment
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal that cancels the request
+ * @returns {Promise<Object>} Streams keyed by type, each with a data array
  */
-function decodePolyline(encodedPolyline) {
-  let index = 0;
-  const len = encodedPolyline.length;
-  let lat = 0;
-  let lng = 0;
-  const coordinates = [];
-
-  while (index < len) {
-    let b;
-    let shift = 0;
-    let result = 0;
-
-    do {
-      b = encodedPolyline.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-
-    const dlat = result & 1 ? ~(result >> 1) : result >> 1;
-    lat += dlat;
-
-    shift = 0;
-    result = 0;
+async function getSegmentStreams(segmentId, { signal } = {}) {
+  return apiRequest(
+    `/segments/${segmentId}/streams?keys=latlng,altitude,distance&key_by_type=true`,
+    { cacheTtl: CACHE_TTL.SEGMENT, signal }
+  );
+}
 
-    do {
-      b = encodedPolyline.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
+/**
+ * Gets the route of a segment with elevation, preferring the segment's
+ * streams and falling back to the summary polyline when they are unavailable
+ * @param {string} segmentId - ID of the segment
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Signal that cancels the requests
+ * @returns {Promise<Array>} Array of [lat, lng, elevation, distance] points;
+ * polyline fallback points only have [lat, lng]
+ */
+async function getSegmentTrack(segmentId, { signal } = {}) {
+  try {
+    const streams = await getSegmentStreams(segmentId, { signal });
+    const track = streamsToTrack(streams);
+    if (track.length > 0) {
+      return track;
+    }
+  } catch (error) {
+    // Auth, rate limit and network failures would break the fallback too
+    if (!(error instanceof ApiError)) {
+      throw error;
+    }
+    console.warn(`Streams unavailable for segment ${segmentId}:`, error);
+  }
 
-    const dlng = result & 1 ? ~(result >> 1) : result >> 1;
-    lng += dlng;
+  return getSegmentPolyline(segmentId, { signal });
+}
 
-    coordinates.push([lat * 1e-5, lng * 1e-5]);
-  }
+/**
+ * Combines segment streams into a list of points
+ * @param {Object} streams - Streams keyed by type
+ * @returns {Array} Array of [lat, lng, elevation, distance] points
+ */
+function streamsToTrack(streams) {
+  const latlng = streams?.latlng?.data || [];
+  const altitude = streams?.altitude?.data || [];
+  const distance = streams?.distance?.data || [];
 
-  return coordinates;
+  return latlng.map(([lat, lng], i) => [
+    lat,
+    lng,
+    altitude[i] ?? null,
+    distance[i] ?? null,
+  ]);
 }
 
 /**
- * Converts polyline coordinates to GPX format
- * @param {Array} coordinates - Array of [lat, lng] coordinates
+ * Converts coordinates to GPX format
+ * @param {Array} coordinates - Array of [lat, lng] or [lat, lng, elevation] coordinates
  * @param {string} name - Name for the GPX track
  * @returns {string} GPX formatted XML string
  */
@@ -143,10 +387,17 @@ function convertToGPX(coordinates, name = "Strava Segment") {
     <name>${escapeXml(name)}</name>
     <trkseg>`;
 
-  coordinates.forEach(([lat, lng]) => {
+  coordinates.forEach(([lat, lng, elevation]) => {
+    gpxContent += `
+      <trkpt lat="${lat}" lon="${lng}">`;
+
+    // Leave out <ele> rather than claim a flat route when it is unknown
+    if (typeof elevation === "number") {
+      gpxContent += `
+        <ele>${elevation}</ele>`;
+    }
+
     gpxContent += `
-      <trkpt lat="${lat}" lon="${lng}">
-        <ele>0</ele>
       </trkpt>`;
   });
 
@@ -158,6 +409,255 @@ function convertToGPX(coordinates, name = "Strava Segment") {
   return gpxContent;
 }
 
+/**
+ * Converts coordinates to a TCX course with distance along the route and
+ * course points for the start and finish. TCX requires a time on every
+ * point, so times are derived from a constant riding speed.
+ * @param {Array} coordinates - Array of [lat, lng, elevation, distance] points;
+ * elevation and distance are optional
+ * @param {string} name - Name for the course
+ * @param {Object} options - Export options
+ * @param {Date} options.startTime - Time of the first point
+ * @param {number} options.speed - Assumed speed in meters per second
+ * @returns {string} TCX formatted XML string
+ */
+function convertToTCX(
+  coordinates,
+  name = "Strava Segment",
+  { startTime = new Date(), speed = DEFAULT_COURSE_SPEED } = {}
+) {
+  const points = withDistances(coordinates);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const totalDistance = last ? last[3] : 0;
+
+  const timeAt = (distance) =>
+    formatTcxTime(new Date(startTime.getTime() + (distance / speed) * 1000));
+
+  // TCX limits course names to 15 characters
+  const courseName = escapeXml(name.slice(0, 15));
+
+  let tcxContent = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses>
+    <Course>
+      <Name>${courseName}</Name>
+      <Lap>
+        <TotalTimeSeconds>${(totalDistance / speed).toFixed(
+    1
+  )}</TotalTimeSeconds>
+        <DistanceMeters>${totalDistance.toFixed(1)}</DistanceMeters>`;
+
+  if (first) {
+    tcxContent += `
+        <BeginPosition>${tcxPosition(first)}</BeginPosition>
+        <EndPosition>${tcxPosition(last)}</EndPosition>`;
+  }
+
+  tcxContent += `
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>`;
+
+  points.forEach((point) => {
+    const [, , elevation, distance] = point;
+    tcxContent += `
+        <Trackpoint>
+          <Time>${timeAt(distance)}</Time>
+          <Position>${tcxPosition(point)}</Position>`;
+
+    if (typeof elevation === "number") {
+      tcxContent += `
+          <AltitudeMeters>${elevation}</AltitudeMeters>`;
+    }
+
+    tcxContent += `
+          <DistanceMeters>${distance.toFixed(1)}</DistanceMeters>
+        </Trackpoint>`;
+  });
+
+  tcxContent += `
+      </Track>`;
+
+  if (first) {
+    tcxContent += tcxCoursePoint("Start", first, timeAt(first[3]));
+    tcxContent += tcxCoursePoint("Finish", last, timeAt(last[3]));
+  }
+
+  tcxContent += `
+    </Course>
+  </Courses>
+</TrainingCenterDatabase>`;
+
+  return tcxContent;
+}
+
+/**
+ * Converts coordinates to a binary FIT course file for head units
+ * @param {Array} coordinates - Array of [lat, lng, elevation, distance] points;
+ * elevation and distance are optional
+ * @param {string} name - Name for the course
+ * @param {Object} options - Export options
+ * @param {Date} options.startTime - Time of the first point
+ * @param {number} options.speed - Assumed speed in meters per second
+ * @param {string} options.activityType - activity_type of the segment, e.g.
+ * Ride or Run; other types give a generic course
+ * @returns {Uint8Array} FIT file contents
+ */
+function convertToFIT(
+  coordinates,
+  name = "Strava Segment",
+  { startTime = new Date(), speed = DEFAULT_COURSE_SPEED, activityType } = {}
+) {
+  return encodeFitCourse(withDistances(coordinates), {
+    name,
+    startTime,
+    speed,
+    sport: FIT_SPORTS[activityType] ?? FitSport.GENERIC,
+  });
+}
+
+/**
+ * Converts one or more segments to a GeoJSON FeatureCollection, with one
+ * LineString feature per segment
+ * @param {Array<Object>} items - Segments with their route, as { segment, coordinates }
+ * @returns {string} GeoJSON string
+ */
+function convertToGeoJSON(items) {
+  const featureCollection = {
+    type: "FeatureCollection",
+    features: items.map(({ segment, coordinates }) => ({
+      type: "Feature",
+      id: segment.id,
+      properties: getExportProperties(segment),
+      geometry: {
+        type: "LineString",
+        // GeoJSON positions are [longitude, latitude, elevation]
+        coordinates: coordinates.map(([lat, lng, elevation]) =>
+          typeof elevation === "number" ? [lng, lat, elevation] : [lng, lat]
+        ),
+      },
+    })),
+  };
+
+  return JSON.stringify(featureCollection, null, 2);
+}
+
+/**
+ * Converts one or more segments to a KML document, with one placemark
+ * per segment
+ * @param {Array<Object>} items - Segments with their route, as { segment, coordinates }
+ * @param {string} name - Name for the KML document
+ * @returns {string} KML formatted XML string
+ */
+function convertToKML(items, name = "Strava Segments") {
+  let kmlContent = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>`;
+
+  items.forEach(({ segment, coordinates }) => {
+    const properties = getExportProperties(segment);
+    const data = Object.entries(properties)
+      .filter(([, value]) => value !== null)
+      .map(
+        ([key, value]) => `
+        <Data name="${key}"><value>${escapeXml(String(value))}</value></Data>`
+      )
+      .join("");
+    const positions = coordinates
+      .map(([lat, lng, elevation]) =>
+        typeof elevation === "number"
+          ? `${lng},${lat},${elevation}`
+          : `${lng},${lat}`
+      )
+      .join(" ");
+
+    kmlContent += `
+    <Placemark>
+      <name>${escapeXml(segment.name || `Segment ${segment.id}`)}</name>
+      <ExtendedData>${data}
+      </ExtendedData>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${positions}</coordinates>
+      </LineString>
+    </Placemark>`;
+  });
+
+  kmlContent += `
+  </Document>
+</kml>`;
+
+  return kmlContent;
+}
+
+/**
+ * Picks the segment properties written to GeoJSON and KML exports
+ * @param {Object} segment - Segment data
+ * @returns {Object} Export properties, null where unknown
+ */
+function getExportProperties(segment) {
+  return {
+    id: segment.id,
+    name: segment.name ?? null,
+    distance: segment.distance ?? null,
+    average_grade: segment.average_grade ?? null,
+    city: segment.city ?? null,
+  };
+}
+
+/**
+ * Formats a TCX position element body
+ * @param {Array} point - [lat, lng, ...] point
+ * @returns {string} Latitude and longitude elements
+ */
+function tcxPosition([lat, lng]) {
+  return `<LatitudeDegrees>${lat}</LatitudeDegrees><LongitudeDegrees>${lng}</LongitudeDegrees>`;
+}
+
+/**
+ * Formats a TCX course point
+ * @param {string} name - Course point name (up to 10 characters)
+ * @param {Array} point - [lat, lng, ...] point
+ * @param {string} time - Formatted time of the point
+ * @returns {string} CoursePoint element
+ */
+function tcxCoursePoint(name, point, time) {
+  return `
+      <CoursePoint>
+        <Name>${name}</Name>
+        <Time>${time}</Time>
+        <Position>${tcxPosition(point)}</Position>
+        <PointType>Generic</PointType>
+      </CoursePoint>`;
+}
+
+/**
+ * Formats a date the way TCX expects (ISO 8601 without milliseconds)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time
+ */
+function formatTcxTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/**
+ * Fills in the distance along the route for points that lack one
+ * @param {Array} coordinates - Array of [lat, lng, elevation, distance] points
+ * @returns {Array} Points that all have a distance in meters
+ */
+function withDistances(coordinates) {
+  const distances = cumulativeDistances(coordinates);
+
+  return coordinates.map(([lat, lng, elevation = null, given], i) => [
+    lat,
+    lng,
+    elevation,
+    typeof given === "number" ? given : distances[i],
+  ]);
+}
+
 /**
  * Escapes XML special characters
  * @param {string} unsafe - String that might contain XML special characters
@@ -173,10 +673,18 @@ function escapeXml(unsafe) {
 }
 
 export {
-  decodePolyline,
   getStarredSegments,
+  getAllStarredSegments,
   getSegmentDetails,
+  getSegmentEfforts,
+  getAllSegmentEfforts,
   getAthleteProfile,
   getSegmentPolyline,
+  getSegmentStreams,
+  getSegmentTrack,
   convertToGPX,
+  convertToTCX,
+  convertToFIT,
+  convertToGeoJSON,
+  convertToKML,
 };
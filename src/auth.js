@@ -1,22 +1,68 @@
 // src/auth.js - Handles Strava OAuth authentication securely
 import CONFIG from "./config.js";
+import {
+  ErrorCode,
+  AuthError,
+  BackendError,
+  NetworkError,
+  MissingScopeError,
+  OAuthStateError,
+  RedirectMismatchError,
+  TokenDecryptionError,
+  getResponseErrorMessage,
+} from "./errors.js";
+import { storageGet, storageSet, storageRemove } from "./storage.js";
+import { clearAccountCache } from "./services/responseCache.js";
+import { decryptTokens, encryptTokens } from "./services/tokenCrypto.js";
+import { MessageType, sendRequest } from "./messaging.js";
+
+// Random bytes in an OAuth state value
+const OAUTH_STATE_BYTES = 16;
+
+// How long a login may take before its state value is no longer accepted
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Account fields that are only ever stored encrypted
+const SECRET_FIELDS = ["access_token", "refresh_token"];
+
+// Tokens are refreshed when they are this close to expiring, in seconds
+const TOKEN_EXPIRY_BUFFER_SECONDS = 5 * 60;
+
+// Web Lock held while the account registry is read, changed and saved
+const ACCOUNTS_LOCK = "strava_accounts";
+
+// Token refreshes in flight in this context, keyed by athlete id
+const refreshes = new Map();
+
+// Whether this context refreshes tokens itself. Only the background service
+// worker does; every other context asks it to, so refreshes never race.
+let ownsTokenRefresh = false;
 
 /**
- * Initiates the OAuth flow with Strava
- * @returns {Promise<Object>} The authentication result with tokens
+ * Initiates the OAuth flow with Strava. The account that logs in is added
+ * to the account registry (or updated, if it is already there) and made active.
+ * @returns {Promise<Object>} The authenticated account with its tokens
  */
 async function authenticate() {
   try {
     // Step 1: Get authorization code via browser-based OAuth flow
-    const authCode = await getAuthorizationCode();
+    const { code, scopes } = await getAuthorizationCode(CONFIG.OAUTH_SCOPE);
 
     // Step 2: Exchange authorization code for access token via backend proxy
-    const tokens = await exchangeCodeForTokens(authCode);
+    const tokens = await exchangeCodeForTokens(code);
 
-    // Step 3: Save tokens to local storage
-    await saveAuthData(tokens);
+    if (!tokens.athlete || !tokens.athlete.id) {
+      throw new AuthError("Strava did not return the athlete for this login.");
+    }
+
+    // Step 3: Save the account to local storage and switch to it
+    const account = toAccount(tokens, scopes);
+    await updateAccounts((registry) => {
+      registry.accounts[account.athlete.id] = account;
+      registry.activeAthleteId = account.athlete.id;
+    });
 
-    return tokens;
+    return account;
   } catch (error) {
     console.error("Authentication error:", error);
     throw error;
@@ -24,67 +70,275 @@ async function authenticate() {
 }
 
 /**
- * Gets an authorization code from Strava via OAuth
- * @returns {Promise<string>} Authorization code
+ * Asks Strava for scopes an account has not granted yet. The new token only
+ * carries the scopes of its own authorization, so the granted scopes are asked
+ * for again with the missing ones and the account keeps what Strava returns.
+ * @param {Array<string>} scopes - Scopes the feature needs, e.g. ["activity:read_all"]
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
+ * @returns {Promise<Object>} The account with its updated tokens and scopes
+ * @throws {MissingScopeError} When the user still did not grant every scope
+ * @throws {AuthError} When not logged in or the login was for another athlete
+ */
+async function requestScopes(scopes, athleteId) {
+  try {
+    const authData = await getAuthData(athleteId);
+
+    if (!authData) {
+      throw new AuthError("No authentication data found. Please authenticate.");
+    }
+
+    const granted = getGrantedScopes(authData);
+    const missing = scopes.filter((scope) => !grantsScope(granted, scope));
+
+    if (missing.length === 0) {
+      return authData;
+    }
+
+    const { code, scopes: grantedNow } = await getAuthorizationCode(
+      [...granted, ...missing].join(",")
+    );
+    const tokens = await exchangeCodeForTokens(code);
+
+    if (!tokens.athlete || tokens.athlete.id !== authData.athlete.id) {
+      throw new AuthError(
+        "Strava returned a different athlete. Log in to Strava as " +
+          `${authData.athlete.firstname} ${authData.athlete.lastname} and try again.`
+      );
+    }
+
+    const account = toAccount(tokens, grantedNow);
+    await updateAccounts((registry) => {
+      registry.accounts[account.athlete.id] = account;
+    });
+
+    const stillMissing = scopes.filter(
+      (scope) => !grantsScope(account.scopes, scope)
+    );
+    if (stillMissing.length > 0) {
+      throw new MissingScopeError(stillMissing);
+    }
+
+    return account;
+  } catch (error) {
+    console.error("Scope upgrade error:", error);
+    throw error;
+  }
+}
+
+/**
+ * Checks whether an account has granted a scope
+ * @param {string} scope - Scope to check, e.g. "activity:read"
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
+ * @returns {Promise<boolean>} True if the scope (or its _all variant) was granted
+ */
+async function hasScope(scope, athleteId) {
+  const authData = await getAuthData(athleteId);
+  return !!authData && grantsScope(getGrantedScopes(authData), scope);
+}
+
+/**
+ * Gets the scopes an account has granted
+ * @param {Object} authData - Stored account
+ * @returns {Array<string>} Granted scopes
+ */
+function getGrantedScopes(authData) {
+  // Accounts saved before scopes were recorded are assumed to have granted
+  // what the extension asked for at the time
+  return authData.scopes || parseScopes(CONFIG.OAUTH_SCOPE);
+}
+
+/**
+ * Checks whether granted scopes cover a scope; "x_all" scopes include "x"
+ * @param {Array<string>} granted - Granted scopes
+ * @param {string} scope - Scope to check
+ * @returns {boolean} True if the scope is covered
+ */
+function grantsScope(granted, scope) {
+  return granted.includes(scope) || granted.includes(`${scope}_all`);
+}
+
+/**
+ * Splits a comma separated scope list
+ * @param {string} scopeList - Scopes as sent to or received from Strava
+ * @returns {Array<string>} Scopes
+ */
+function parseScopes(scopeList) {
+  return scopeList
+    .split(",")
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Gets an authorization code from Strava via OAuth. A random state value is
+ * stored for the duration of the flow; the redirect must come back to our
+ * redirect URL carrying that same state, and each state can only be used once.
+ * Every login stores its own state, so logins started in two windows do not
+ * invalidate each other.
+ * @param {string} scope - Comma separated scopes to ask for
+ * @returns {Promise<Object>} The authorization code and the scopes the user granted
+ * @throws {RedirectMismatchError|OAuthStateError|AuthError} When the redirect is rejected
+ */
+async function getAuthorizationCode(scope) {
+  const state = await createOAuthState();
+
+  const authUrl = new URL(CONFIG.STRAVA_AUTH_URL);
+  authUrl.searchParams.append("client_id", CONFIG.STRAVA_CLIENT_ID);
+  authUrl.searchParams.append("redirect_uri", CONFIG.REDIRECT_URL);
+  authUrl.searchParams.append("response_type", CONFIG.RESPONSE_TYPE);
+  authUrl.searchParams.append("scope", scope);
+  authUrl.searchParams.append("state", state);
+
+  // Log the redirect URL and full auth URL for debugging
+  console.log("Chrome extension redirect URL:", CONFIG.REDIRECT_URL);
+  console.log("Full auth URL:", authUrl.toString());
+  console.log("Client ID being used:", CONFIG.STRAVA_CLIENT_ID);
+
+  let redirectUrl;
+  let isStatePending;
+  try {
+    redirectUrl = await launchWebAuthFlow(authUrl.toString());
+  } finally {
+    // Whatever happens, the state must not be usable by a later redirect
+    isStatePending = await consumeOAuthState(state);
+  }
+
+  const url = new URL(redirectUrl);
+  const expectedUrl = new URL(CONFIG.REDIRECT_URL);
+
+  // Compare protocol and host rather than origin: extension URLs have an
+  // opaque "null" origin
+  if (
+    url.protocol !== expectedUrl.protocol ||
+    url.host !== expectedUrl.host ||
+    url.pathname !== expectedUrl.pathname
+  ) {
+    console.error("Redirect URL does not match the expected URL:", url.host);
+    throw new RedirectMismatchError();
+  }
+
+  if (!isStatePending || url.searchParams.get("state") !== state) {
+    console.error("OAuth state is missing, unknown or already used");
+    throw new OAuthStateError();
+  }
+
+  // Extract the authorization code from the redirect URL
+  const code = url.searchParams.get("code");
+  const error = url.searchParams.get("error");
+
+  if (error) {
+    console.error("Authorization error from Strava:", error);
+    throw new AuthError(`Authorization error: ${error}`);
+  }
+
+  if (!code) {
+    console.error("No authorization code found in redirect URL:", redirectUrl);
+    throw new AuthError("No authorization code found in the redirect URL.");
+  }
+
+  // Users can untick scopes, so record what was granted rather than asked for
+  const grantedScope = url.searchParams.get("scope");
+
+  console.log("Successfully received auth code from Strava");
+  return { code, scopes: parseScopes(grantedScope ?? scope) };
+}
+
+/**
+ * Opens the Strava login in a popup using the chrome.identity API
+ * @param {string} authUrl - Authorize URL to open
+ * @returns {Promise<string>} The URL Strava redirected to
  */
-function getAuthorizationCode() {
+function launchWebAuthFlow(authUrl) {
   return new Promise((resolve, reject) => {
-    const authUrl = new URL(CONFIG.STRAVA_AUTH_URL);
-    authUrl.searchParams.append("client_id", CONFIG.STRAVA_CLIENT_ID);
-    authUrl.searchParams.append("redirect_uri", CONFIG.REDIRECT_URL);
-    authUrl.searchParams.append("response_type", CONFIG.RESPONSE_TYPE);
-    authUrl.searchParams.append("scope", CONFIG.OAUTH_SCOPE);
-
-    // Log the redirect URL and full auth URL for debugging
-    console.log("Chrome extension redirect URL:", CONFIG.REDIRECT_URL);
-    console.log("Full auth URL:", authUrl.toString());
-    console.log("Client ID being used:", CONFIG.STRAVA_CLIENT_ID);
-
-    // Use chrome.identity API to launch the auth flow in a popup
     chrome.identity.launchWebAuthFlow(
       {
-        url: authUrl.toString(),
+        url: authUrl,
         interactive: true,
       },
       (redirectUrl) => {
         if (chrome.runtime.lastError) {
           console.error("Chrome runtime error:", chrome.runtime.lastError);
-          reject(new Error(chrome.runtime.lastError.message));
+          reject(new AuthError(chrome.runtime.lastError.message));
           return;
         }
 
         if (!redirectUrl) {
           console.error("Authorization failed. No redirect URL returned.");
-          reject(new Error("Authorization failed. No redirect URL returned."));
-          return;
-        }
-
-        // Extract the authorization code from the redirect URL
-        const url = new URL(redirectUrl);
-        const code = url.searchParams.get("code");
-        const error = url.searchParams.get("error");
-
-        if (error) {
-          console.error("Authorization error from Strava:", error);
-          reject(new Error(`Authorization error: ${error}`));
-          return;
-        }
-
-        if (!code) {
-          console.error(
-            "No authorization code found in redirect URL:",
-            redirectUrl
+          reject(
+            new AuthError("Authorization failed. No redirect URL returned.")
           );
-          reject(new Error("No authorization code found in the redirect URL."));
           return;
         }
 
-        console.log("Successfully received auth code from Strava");
-        resolve(code);
+        resolve(redirectUrl);
       }
     );
   });
 }
+
+/**
+ * Creates a random OAuth state value and stores it for the current flow.
+ * States left behind by logins that never finished are removed once expired.
+ * @returns {Promise<string>} The state value
+ */
+async function createOAuthState() {
+  const bytes = crypto.getRandomValues(new Uint8Array(OAUTH_STATE_BYTES));
+  const state = Array.from(bytes, (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+  await clearOAuthStates(OAUTH_STATE_TTL_MS);
+  await storageSet({ [getOAuthStateKey(state)]: { createdAt: Date.now() } });
+
+  return state;
+}
+
+/**
+ * Removes the stored state of a login, so that it can only be checked once
+ * @param {string} state - State value the login was started with
+ * @returns {Promise<boolean>} True if the state was pending and has not expired
+ */
+async function consumeOAuthState(state) {
+  const key = getOAuthStateKey(state);
+  const result = await storageGet([key]);
+  const stored = result[key];
+  await storageRemove([key]);
+
+  return !!stored && Date.now() - stored.createdAt <= OAUTH_STATE_TTL_MS;
+}
+
+/**
+ * Removes the stored states of unfinished logins
+ * @param {number} minAge - Only remove states at least this old, in milliseconds
+ * @returns {Promise<number>} Number of states removed
+ */
+async function clearOAuthStates(minAge = 0) {
+  const stored = await storageGet(null);
+  const now = Date.now();
+
+  // Older versions kept a single state under the bare key
+  const keys = Object.keys(stored).filter(
+    (key) =>
+      (key === CONFIG.OAUTH_STATE_KEY ||
+        key.startsWith(getOAuthStateKey(""))) &&
+      now - (stored[key].createdAt || 0) >= minAge
+  );
+
+  if (keys.length > 0) {
+    await storageRemove(keys);
+  }
+  return keys.length;
+}
+
+/**
+ * Gets the storage key of a login's OAuth state
+ * @param {string} state - State value
+ * @returns {string} Storage key
+ */
+function getOAuthStateKey(state) {
+  return `${CONFIG.OAUTH_STATE_KEY}:${state}`;
+}
+
 /**
  * Exchanges an authorization code for access and refresh tokens using the secure backend proxy
  * @param {string} authCode - The authorization code from Strava
@@ -103,13 +357,12 @@ async function exchangeCodeForTokens(authCode) {
         client_id: CONFIG.STRAVA_CLIENT_ID,
         redirect_uri: CONFIG.REDIRECT_URL,
       }),
+    }).catch((error) => {
+      throw new NetworkError(undefined, { cause: error });
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(
-        `Token exchange failed: ${errorData.message || response.statusText}`
-      );
+      throw await tokenRequestError("Token exchange failed", response);
     }
 
     const tokenData = await response.json();
@@ -125,48 +378,242 @@ async function exchangeCodeForTokens(authCode) {
 }
 
 /**
- * Saves authentication data to Chrome storage
- * @param {Object} authData - The authentication data to save
+ * Builds the error for a failed token exchange or refresh. Server-side
+ * failures mean the backend proxy is down; anything else means the
+ * code or refresh token was rejected and the user has to log in again.
+ * @param {string} prefix - Message prefix describing the operation
+ * @param {Response} response - Failed response from the backend proxy
+ * @returns {Promise<AuthError|BackendError>} The error to throw
+ */
+async function tokenRequestError(prefix, response) {
+  const message = `${prefix}: ${await getResponseErrorMessage(response)}`;
+  const details = { status: response.status };
+
+  return response.status >= 500
+    ? new BackendError(message, details)
+    : new AuthError(message, details);
+}
+
+/**
+ * Builds the stored account record from a token response
+ * @param {Object} tokens - Token response from the backend proxy
+ * @param {Array<string>} scopes - Scopes the user granted
+ * @returns {Object} Account with tokens, granted scopes and a summary of the athlete
+ */
+function toAccount(tokens, scopes) {
+  const { athlete, ...tokenData } = tokens;
+  return {
+    ...tokenData,
+    scopes,
+    athlete: {
+      id: athlete.id,
+      firstname: athlete.firstname,
+      lastname: athlete.lastname,
+      profile: athlete.profile,
+    },
+  };
+}
+
+/**
+ * Loads the account registry, migrating the single token record that
+ * older versions stored under CONFIG.LEGACY_AUTH_KEY. Tokens stay
+ * encrypted; use getAuthData to read them.
+ * @returns {Promise<Object>} Registry as { activeAthleteId, accounts }
+ */
+async function loadAccounts() {
+  const { registry, legacy } = await readAccounts();
+
+  // Migrating writes the registry, so it goes through updateAccounts
+  return legacy ? updateAccounts(() => {}) : registry;
+}
+
+/**
+ * Reads the account registry and any legacy token record as stored
+ * @returns {Promise<Object>} { registry, legacy }
+ */
+async function readAccounts() {
+  const result = await storageGet([
+    CONFIG.ACCOUNTS_STORAGE_KEY,
+    CONFIG.LEGACY_AUTH_KEY,
+  ]);
+
+  return {
+    registry: result[CONFIG.ACCOUNTS_STORAGE_KEY] || {
+      activeAthleteId: null,
+      accounts: {},
+    },
+    legacy: result[CONFIG.LEGACY_AUTH_KEY],
+  };
+}
+
+/**
+ * Changes the account registry and saves it. The popup and the background
+ * service worker both change the registry, so the read, change and save run
+ * under a Web Lock and updates from another context are never overwritten.
+ * @param {Function} update - Called with the registry to modify in place
+ * @returns {Promise<Object>} The saved registry
+ */
+async function updateAccounts(update) {
+  return withAccountsLock(async () => {
+    const { registry, legacy } = await readAccounts();
+
+    // The token exchange has always returned the athlete, so records without
+    // one cannot be matched to an account and the user has to log in again
+    if (legacy && legacy.athlete && legacy.athlete.id) {
+      const account = toAccount(legacy);
+      registry.accounts[account.athlete.id] = account;
+      registry.activeAthleteId = registry.activeAthleteId || account.athlete.id;
+    }
+
+    update(registry);
+    await saveAccounts(registry);
+    if (legacy) {
+      await storageRemove([CONFIG.LEGACY_AUTH_KEY]);
+    }
+    return registry;
+  });
+}
+
+/**
+ * Runs a callback while holding the account registry lock
+ * @param {Function} callback - Async function to run
+ * @returns {Promise<any>} What the callback returns
+ */
+function withAccountsLock(callback) {
+  // Web Locks are shared by every extension page and the service worker
+  if (typeof navigator === "undefined" || !navigator.locks) {
+    return callback();
+  }
+  return navigator.locks.request(ACCOUNTS_LOCK, () => callback());
+}
+
+/**
+ * Saves the account registry, encrypting any tokens that are still in
+ * plain text. Accounts are replaced rather than changed, so callers keep
+ * their decrypted copies.
+ * @param {Object} registry - Registry as { activeAthleteId, accounts }
  * @returns {Promise<void>}
  */
-function saveAuthData(authData) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.set({ [CONFIG.STORAGE_KEY]: authData }, () => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve();
-      }
-    });
+async function saveAccounts(registry) {
+  for (const [id, account] of Object.entries(registry.accounts)) {
+    if (SECRET_FIELDS.some((field) => field in account)) {
+      registry.accounts[id] = await sealAccount(account);
+    }
+  }
+
+  await storageSet({ [CONFIG.ACCOUNTS_STORAGE_KEY]: registry });
+}
+
+/**
+ * Moves an account's tokens into an encrypted field
+ * @param {Object} account - Account with plain text tokens
+ * @returns {Promise<Object>} Account with encrypted_tokens instead
+ */
+async function sealAccount(account) {
+  const sealed = { ...account };
+  const secrets = {};
+
+  SECRET_FIELDS.forEach((field) => {
+    if (field in sealed) {
+      secrets[field] = sealed[field];
+      delete sealed[field];
+    }
   });
+
+  sealed.encrypted_tokens = await encryptTokens(secrets);
+  return sealed;
 }
 
 /**
- * Retrieves saved authentication data from Chrome storage
- * @returns {Promise<Object|null>} The stored auth data or null if not found
+ * Retrieves the saved authentication data of an account, with its tokens
+ * decrypted. If they cannot be decrypted the account is returned without
+ * tokens and marked as needing a new login; tokens are never guessed or
+ * read from anywhere else.
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
+ * @returns {Promise<Object|null>} The stored account or null if not found
  */
-function getAuthData() {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get([CONFIG.STORAGE_KEY], (result) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve(result[CONFIG.STORAGE_KEY] || null);
-      }
-    });
+async function getAuthData(athleteId) {
+  const registry = await loadAccounts();
+  const id = athleteId ?? registry.activeAthleteId;
+  const account = id != null ? registry.accounts[id] : null;
+
+  if (!account) {
+    return null;
+  }
+
+  // Saved by a version that stored tokens in plain text: encrypt them now
+  if (SECRET_FIELDS.some((field) => field in account)) {
+    await updateAccounts(() => {});
+    return account;
+  }
+
+  if (!account.encrypted_tokens) {
+    return account;
+  }
+
+  const { encrypted_tokens: encryptedTokens, ...rest } = account;
+  try {
+    return { ...rest, ...(await decryptTokens(encryptedTokens)) };
+  } catch (error) {
+    if (!(error instanceof TokenDecryptionError)) {
+      throw error;
+    }
+    console.error(`Tokens of athlete ${id} cannot be decrypted:`, error);
+    await markNeedsReauth(account.athlete.id);
+    return { ...rest, needs_reauth: true };
+  }
+}
+
+/**
+ * Lists the accounts that are logged in
+ * @returns {Promise<Array<Object>>} Athlete summaries with an isActive flag
+ */
+async function getAccounts() {
+  const registry = await loadAccounts();
+
+  return Object.values(registry.accounts).map((account) => ({
+    ...account.athlete,
+    isActive: account.athlete.id === registry.activeAthleteId,
+  }));
+}
+
+/**
+ * Gets the athlete id of the active account
+ * @returns {Promise<number|null>} The athlete id, or null when logged out
+ */
+async function getActiveAthleteId() {
+  const registry = await loadAccounts();
+  return registry.activeAthleteId;
+}
+
+/**
+ * Makes another logged-in account the active one
+ * @param {number} athleteId - Athlete id of the account
+ * @returns {Promise<void>}
+ * @throws {AuthError} When the account is not logged in
+ */
+async function setActiveAccount(athleteId) {
+  await updateAccounts((registry) => {
+    if (!registry.accounts[athleteId]) {
+      throw new AuthError(`Account ${athleteId} is not logged in.`);
+    }
+    registry.activeAthleteId = registry.accounts[athleteId].athlete.id;
   });
 }
 
 /**
  * Refreshes the access token using the refresh token via the secure backend proxy
- * @returns {Promise<Object>} The new authentication data
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
+ * @returns {Promise<Object>} The account with its new tokens
  */
-async function refreshAccessToken() {
+async function refreshAccessToken(athleteId) {
   try {
-    const authData = await getAuthData();
+    const authData = await getAuthData(athleteId);
 
     if (!authData || !authData.refresh_token) {
-      throw new Error("No refresh token available. Please authenticate again.");
+      throw new AuthError(
+        "No refresh token available. Please authenticate again."
+      );
     }
 
     // Use the secure backend to refresh the token
@@ -179,13 +626,12 @@ async function refreshAccessToken() {
         refresh_token: authData.refresh_token,
         client_id: CONFIG.STRAVA_CLIENT_ID,
       }),
+    }).catch((error) => {
+      throw new NetworkError(undefined, { cause: error });
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(
-        `Token refresh failed: ${errorData.message || response.statusText}`
-      );
+      throw await tokenRequestError("Token refresh failed", response);
     }
 
     const newAuthData = await response.json();
@@ -198,35 +644,130 @@ async function refreshAccessToken() {
       newAuthData.refresh_token = authData.refresh_token;
     }
 
-    await saveAuthData(newAuthData);
+    const account = {
+      ...newAuthData,
+      scopes: authData.scopes,
+      athlete: authData.athlete,
+    };
+    await updateAccounts((registry) => {
+      // The account may have been logged out while the request was running
+      if (registry.accounts[account.athlete.id]) {
+        registry.accounts[account.athlete.id] = account;
+      }
+    });
 
-    return newAuthData;
+    return account;
   } catch (error) {
     console.error("Token refresh error:", error);
+    if (error.code === ErrorCode.AUTH_REQUIRED) {
+      await markNeedsReauth(athleteId);
+    }
     throw error;
   }
 }
 
 /**
- * Checks if the current token is valid, refreshes if needed
+ * Refreshes an account's token unless a refresh is already running in this
+ * context, in which case its result is shared
+ * @param {number} athleteId - Athlete id of the account
+ * @returns {Promise<Object>} The account with its new tokens
+ */
+function refreshAccessTokenOnce(athleteId) {
+  const key = String(athleteId);
+
+  if (!refreshes.has(key)) {
+    refreshes.set(
+      key,
+      refreshAccessToken(athleteId).finally(() => refreshes.delete(key))
+    );
+  }
+
+  return refreshes.get(key);
+}
+
+/**
+ * Makes this context the one that refreshes tokens. Called once by the
+ * background service worker.
+ */
+function ownTokenRefresh() {
+  ownsTokenRefresh = true;
+}
+
+/**
+ * Asks the background service worker to refresh an account's token
+ * @param {number} athleteId - Athlete id of the account
+ * @returns {Promise<Object>} The account with its new tokens
+ * @throws {AuthError|NetworkError|BackendError} When the refresh failed
+ */
+async function requestTokenRefresh(athleteId) {
+  await sendRequest(MessageType.TOKEN_REFRESH_NEEDED, { athleteId });
+
+  // Tokens are not sent back; the new ones are read from storage
+  const authData = await getAuthData(athleteId);
+  if (!authData) {
+    throw new AuthError("No authentication data found. Please authenticate.");
+  }
+  return authData;
+}
+
+/**
+ * Marks an account whose refresh token was rejected, so that it is not
+ * refreshed again until the user logs in
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
+ * @returns {Promise<void>}
+ */
+async function markNeedsReauth(athleteId) {
+  try {
+    await updateAccounts((registry) => {
+      const account = registry.accounts[athleteId ?? registry.activeAthleteId];
+      if (account) {
+        account.needs_reauth = true;
+      }
+    });
+  } catch (error) {
+    console.error("Error marking account for re-login:", error);
+  }
+}
+
+/**
+ * Gets the time at which an account's token should be refreshed
+ * @param {Object} authData - Stored account
+ * @returns {number} Unix time in seconds
+ */
+function getTokenRefreshTime(authData) {
+  // Use received_at and expires_in for more accurate expiration calculation
+  return (
+    authData.received_at + authData.expires_in - TOKEN_EXPIRY_BUFFER_SECONDS
+  );
+}
+
+/**
+ * Checks if an account's token is valid, refreshes if needed
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
  * @returns {Promise<string>} A valid access token
  */
-async function getValidAccessToken() {
+async function getValidAccessToken(athleteId) {
   try {
-    let authData = await getAuthData();
+    let authData = await getAuthData(athleteId);
 
     if (!authData) {
-      throw new Error("No authentication data found. Please authenticate.");
+      throw new AuthError("No authentication data found. Please authenticate.");
+    }
+
+    if (authData.needs_reauth) {
+      throw new AuthError(
+        "Your Strava session has expired. Please log in again."
+      );
     }
 
     // Token is considered expired if it's within 5 minutes of expiration
-    // Use received_at and expires_in for more accurate expiration calculation
     const currentTime = Math.floor(Date.now() / 1000);
-    const expirationTime = authData.received_at + authData.expires_in - 300; // 5 minute buffer
 
-    if (currentTime >= expirationTime) {
+    if (currentTime >= getTokenRefreshTime(authData)) {
       // Token is expired or about to expire, refresh it
-      authData = await refreshAccessToken();
+      authData = ownsTokenRefresh
+        ? await refreshAccessTokenOnce(authData.athlete.id)
+        : await requestTokenRefresh(authData.athlete.id);
     }
 
     return authData.access_token;
@@ -237,25 +778,91 @@ async function getValidAccessToken() {
 }
 
 /**
- * Clears authentication data from storage
+ * Revokes the extension's access to an account at Strava via the backend
+ * proxy. Strava then invalidates every token it issued for the account.
+ * @param {number} athleteId - Athlete id of the account
  * @returns {Promise<void>}
+ * @throws {AuthError|BackendError|NetworkError} When access could not be revoked
  */
-function logout() {
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.remove([CONFIG.STORAGE_KEY], () => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve();
-      }
-    });
+async function revokeAccess(athleteId) {
+  const accessToken = await getValidAccessToken(athleteId);
+
+  const response = await fetch(`${CONFIG.AUTH_PROXY_URL}/deauthorize`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ access_token: accessToken }),
+  }).catch((error) => {
+    throw new NetworkError(undefined, { cause: error });
+  });
+
+  if (!response.ok) {
+    throw await tokenRequestError("Deauthorization failed", response);
+  }
+}
+
+/**
+ * Logs an account out: revokes its access at Strava, removes its tokens and
+ * deletes its cached responses. The local data is removed even when Strava
+ * cannot be reached. When the active account is removed, the next remaining
+ * account (if any) becomes active.
+ * @param {number} athleteId - Athlete id of the account (defaults to the active account)
+ * @returns {Promise<Object>} What was done, as { athlete, revoked, revokeError, cachedResponses, activeAthleteId }
+ */
+async function logout(athleteId) {
+  const authData = await getAuthData(athleteId);
+
+  if (!authData) {
+    return {
+      athlete: null,
+      revoked: false,
+      revokeError: null,
+      cachedResponses: 0,
+      activeAthleteId: await getActiveAthleteId(),
+    };
+  }
+
+  const { athlete } = authData;
+  let revokeError = null;
+  try {
+    await revokeAccess(athlete.id);
+  } catch (error) {
+    console.error(`Error revoking access for athlete ${athlete.id}:`, error);
+    revokeError = error;
+  }
+
+  const registry = await updateAccounts((registry) => {
+    delete registry.accounts[athlete.id];
+    if (String(registry.activeAthleteId) === String(athlete.id)) {
+      const [next] = Object.values(registry.accounts);
+      registry.activeAthleteId = next ? next.athlete.id : null;
+    }
   });
+  const cachedResponses = await clearAccountCache(athlete.id);
+
+  return {
+    athlete,
+    revoked: !revokeError,
+    revokeError,
+    cachedResponses,
+    activeAthleteId: registry.activeAthleteId,
+  };
 }
 
 export {
   authenticate,
   getAuthData,
+  getAccounts,
+  getActiveAthleteId,
+  setActiveAccount,
+  hasScope,
+  requestScopes,
   getValidAccessToken,
+  getTokenRefreshTime,
   refreshAccessToken,
+  refreshAccessTokenOnce,
+  ownTokenRefresh,
   logout,
+  clearOAuthStates,
 };
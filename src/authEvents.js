@@ -0,0 +1,146 @@
+// src/authEvents.js - Notifies every extension surface when the login state changes
+import CONFIG from "./config.js";
+import { storageGet } from "./storage.js";
+
+/**
+ * Kinds of login state change
+ * @enum {string}
+ */
+const AuthEventType = {
+  // An account was added, or logged in again after its session expired
+  LOGGED_IN: "LOGGED_IN",
+  // An account was removed; another may have become the active one
+  LOGGED_OUT: "LOGGED_OUT",
+  // Another existing account was made the active one
+  ACCOUNT_SWITCHED: "ACCOUNT_SWITCHED",
+  // Sent by the background worker after it refreshed an account's tokens
+  TOKEN_REFRESHED: "TOKEN_REFRESHED",
+  // Sent by the background worker when a refresh failed; needsReauth is set
+  // when the user has to log in again
+  TOKEN_REFRESH_FAILED: "TOKEN_REFRESH_FAILED",
+};
+
+/**
+ * Works out what changed between two versions of the account registry.
+ * Token updates within an account are left to the refresh messages.
+ * @param {Object} oldRegistry - Registry before the change, if any
+ * @param {Object} newRegistry - Registry after the change, if any
+ * @returns {Array<Object>} Events as { type, athleteId, activeAthleteId }
+ */
+function getAuthEvents(oldRegistry, newRegistry) {
+  const oldAccounts = (oldRegistry && oldRegistry.accounts) || {};
+  const newAccounts = (newRegistry && newRegistry.accounts) || {};
+  const oldActive = getActiveId(oldRegistry);
+  const activeAthleteId = getActiveId(newRegistry);
+  const events = [];
+
+  Object.keys(oldAccounts)
+    .filter((id) => !(id in newAccounts))
+    .forEach((id) =>
+      events.push({
+        type: AuthEventType.LOGGED_OUT,
+        athleteId: Number(id),
+        activeAthleteId,
+      })
+    );
+
+  // Logging in again clears the flag set when a refresh token was rejected
+  Object.keys(newAccounts)
+    .filter(
+      (id) =>
+        !(id in oldAccounts) ||
+        (oldAccounts[id].needs_reauth && !newAccounts[id].needs_reauth)
+    )
+    .forEach((id) =>
+      events.push({
+        type: AuthEventType.LOGGED_IN,
+        athleteId: Number(id),
+        activeAthleteId,
+      })
+    );
+
+  // Logging in already implies the switch that comes with it
+  if (
+    activeAthleteId !== null &&
+    activeAthleteId !== oldActive &&
+    !events.some(({ athleteId }) => athleteId === activeAthleteId)
+  ) {
+    events.push({
+      type: AuthEventType.ACCOUNT_SWITCHED,
+      athleteId: activeAthleteId,
+      activeAthleteId,
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Reads the active athlete id of a registry
+ * @param {Object} registry - Account registry, if any
+ * @returns {number|null} The active athlete id
+ */
+function getActiveId(registry) {
+  return registry && registry.activeAthleteId != null
+    ? Number(registry.activeAthleteId)
+    : null;
+}
+
+/**
+ * Calls the listener whenever an account logs in or out, the active account
+ * changes or a token refresh succeeds or fails, wherever that happened.
+ * Works in extension pages and content scripts alike.
+ * @param {Function} listener - Called with { type, athleteId, activeAthleteId, needsReauth }
+ * @returns {Function} Stops listening
+ */
+function onAuthChange(listener) {
+  const notify = (event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Error handling ${event.type} event:`, error);
+    }
+  };
+
+  const handleStorageChange = (changes, areaName) => {
+    const change = changes[CONFIG.ACCOUNTS_STORAGE_KEY];
+    if (areaName !== "local" || !change) return;
+
+    getAuthEvents(change.oldValue, change.newValue).forEach(notify);
+  };
+
+  const handleMessage = (message) => {
+    if (
+      !message ||
+      (message.type !== AuthEventType.TOKEN_REFRESHED &&
+        message.type !== AuthEventType.TOKEN_REFRESH_FAILED)
+    ) {
+      return false;
+    }
+
+    storageGet([CONFIG.ACCOUNTS_STORAGE_KEY])
+      .then((result) =>
+        notify({
+          type: message.type,
+          athleteId: Number(message.athleteId),
+          activeAthleteId: getActiveId(result[CONFIG.ACCOUNTS_STORAGE_KEY]),
+          needsReauth: !!message.needsReauth,
+        })
+      )
+      .catch((error) => {
+        console.error(`Error handling ${message.type} message:`, error);
+      });
+
+    return false; // No response is sent
+  };
+
+  chrome.storage.onChanged.addListener(handleStorageChange);
+  chrome.runtime.onMessage.addListener(handleMessage);
+
+  return () => {
+    chrome.storage.onChanged.removeListener(handleStorageChange);
+    chrome.runtime.onMessage.removeListener(handleMessage);
+  };
+}
+
+export { AuthEventType, getAuthEvents, onAuthChange };
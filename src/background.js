@@ -1,28 +1,85 @@
 // src/background.js - Background service worker
+import CONFIG from "./config.js";
+import {
+  getAccounts,
+  getAuthData,
+  getTokenRefreshTime,
+  ownTokenRefresh,
+  refreshAccessTokenOnce,
+} from "./auth.js";
+import { AuthEventType } from "./authEvents.js";
+import { ErrorCode } from "./errors.js";
+import { MessageType, handleRequests } from "./messaging.js";
+import { getSegmentWithCache } from "./services/segmentService.js";
+import { getCurrentWeather } from "./services/weatherApi.js";
+import { analyzeSegmentWeather } from "./services/segmentWeather.js";
+
+// Alarm names for token refreshes are this prefix plus the athlete id
+const REFRESH_ALARM_PREFIX = "token-refresh:";
+
+// Refresh this long before getValidAccessToken would consider a token
+// expired, so that API calls rarely have to wait for a refresh
+const REFRESH_LEAD_MS = 5 * 60 * 1000;
+
+// Retry delay after a refresh failed for a reason other than a rejected token
+const REFRESH_RETRY_MS = 60 * 1000;
+
 console.log("Strava Plugin Background Service Worker Initialized");
 
+// This worker refreshes tokens for every extension page and content script
+ownTokenRefresh();
+
+// Serve requests from content scripts and extension pages, so that all
+// network, caching and auth work happens in this worker
+handleRequests({
+  [MessageType.GET_SEGMENT]: ({ segmentId }) => getSegmentWithCache(segmentId),
+  [MessageType.GET_WEATHER]: ({ lat, lng }) => getCurrentWeather(lat, lng),
+  [MessageType.ANALYZE_SEGMENT]: ({ segmentId }) =>
+    analyzeSegmentWeather(segmentId),
+  [MessageType.TOKEN_REFRESH_NEEDED]: async ({ athleteId }) => {
+    await refreshToken(athleteId);
+  },
+});
+
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "AUTH_CHECK") {
     // Handle auth check requests
-    chrome.storage.local.get(["strava_auth_data"], (result) => {
-      const isAuthenticated = !!(
-        result.strava_auth_data && result.strava_auth_data.access_token
-      );
-      sendResponse({ isAuthenticated });
-    });
+    getAuthData()
+      .then((authData) => {
+        sendResponse({
+          isAuthenticated: !!(authData && authData.access_token),
+        });
+      })
+      .catch((error) => {
+        console.error("Error checking authentication:", error);
+        sendResponse({ isAuthenticated: false });
+      });
     return true; // Required for async sendResponse
   }
+});
 
-  if (message.type === "TOKEN_REFRESH_NEEDED") {
-    // Will be implemented if needed when tokens expire
-    console.log("Token refresh requested");
-    // Actual token refresh logic would go here
-    sendResponse({ success: true });
-    return true; // Required for async sendResponse
+// Refresh tokens when their alarm goes off
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (!alarm.name.startsWith(REFRESH_ALARM_PREFIX)) return;
+
+  const athleteId = alarm.name.slice(REFRESH_ALARM_PREFIX.length);
+  refreshToken(athleteId).catch((error) => {
+    if (error.code !== ErrorCode.AUTH_REQUIRED) {
+      chrome.alarms.create(alarm.name, { when: Date.now() + REFRESH_RETRY_MS });
+    }
+  });
+});
+
+// Logins, refreshes and logouts all change the account registry
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "local" && changes[CONFIG.ACCOUNTS_STORAGE_KEY]) {
+    scheduleTokenRefreshes();
   }
 });
 
+chrome.runtime.onStartup.addListener(scheduleTokenRefreshes);
+
 // Handle installation and updates
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === "install") {
@@ -32,13 +89,83 @@ chrome.runtime.onInstalled.addListener((details) => {
     console.log("Extension updated");
     // You could show release notes or changelog here
   }
+
+  scheduleTokenRefreshes();
 });
 
-// Keep the service worker alive by responding to pings
-// (Only needed if you're doing long-lived operations in the background)
-// chrome.alarms.create('keepAlive', { periodInMinutes: 1 });
-// chrome.alarms.onAlarm.addListener((alarm) => {
-//   if (alarm.name === 'keepAlive') {
-//     console.log('Background service worker is still active');
-//   }
-// });
+/**
+ * Refreshes an account's token, sharing a refresh that is already running,
+ * and tells every extension surface about the result
+ * @param {number|string} athleteId - Athlete id of the account
+ * @returns {Promise<Object>} The account with its new tokens
+ */
+async function refreshToken(athleteId) {
+  try {
+    const account = await refreshAccessTokenOnce(athleteId);
+    broadcast({
+      type: AuthEventType.TOKEN_REFRESHED,
+      athleteId: account.athlete.id,
+    });
+    return account;
+  } catch (error) {
+    console.error(`Error refreshing token for athlete ${athleteId}:`, error);
+    broadcast({
+      type: AuthEventType.TOKEN_REFRESH_FAILED,
+      athleteId: Number(athleteId),
+      needsReauth: error.code === ErrorCode.AUTH_REQUIRED,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Sets one alarm per account to refresh its token ahead of expiry, and
+ * removes alarms of accounts that were logged out or need to log in again
+ * @returns {Promise<void>}
+ */
+async function scheduleTokenRefreshes() {
+  try {
+    const accounts = await getAccounts();
+    const alarms = await new Promise((resolve) =>
+      chrome.alarms.getAll(resolve)
+    );
+    const scheduled = new Set();
+
+    for (const { id } of accounts) {
+      const authData = await getAuthData(id);
+      if (!authData || authData.needs_reauth) continue;
+
+      const name = REFRESH_ALARM_PREFIX + id;
+      const when = getTokenRefreshTime(authData) * 1000 - REFRESH_LEAD_MS;
+      chrome.alarms.create(name, { when: Math.max(when, Date.now()) });
+      scheduled.add(name);
+    }
+
+    alarms
+      .filter(
+        (alarm) =>
+          alarm.name.startsWith(REFRESH_ALARM_PREFIX) &&
+          !scheduled.has(alarm.name)
+      )
+      .forEach((alarm) => chrome.alarms.clear(alarm.name));
+  } catch (error) {
+    console.error("Error scheduling token refreshes:", error);
+  }
+}
+
+/**
+ * Sends a message to extension pages and to Strava tabs running a content
+ * script. Messages never contain tokens.
+ * @param {Object} message - Message to send
+ */
+function broadcast(message) {
+  // Nobody listening is fine, so the error is read and ignored
+  const ignoreError = () => chrome.runtime.lastError;
+
+  chrome.runtime.sendMessage(message, ignoreError);
+  chrome.tabs.query({ url: "https://www.strava.com/*" }, (tabs) => {
+    tabs.forEach((tab) =>
+      chrome.tabs.sendMessage(tab.id, message, ignoreError)
+    );
+  });
+}
@@ -23,7 +23,12 @@ const CONFIG = {
   RESPONSE_TYPE: "code",
 
   // Storage keys
-  STORAGE_KEY: "strava_auth_data",
+  ACCOUNTS_STORAGE_KEY: "strava_accounts",
+  LEGACY_AUTH_KEY: "strava_auth_data",
+  OAUTH_STATE_KEY: "strava_oauth_state",
+  RATE_LIMIT_STORAGE_KEY: "strava_rate_limit",
+  CACHE_INDEX_KEY: "strava_cache_index",
+  RIDER_PROFILE_KEY: "strava_rider_profile",
 
   // Extension version
   VERSION: chrome.runtime?.getManifest()?.version || "dev",
@@ -1,10 +1,21 @@
 // src/contentScripts/starredSegments.js
-import { getCurrentWeather } from "../services/weatherApi.js";
-import { analyzeWeather, AssistLevel } from "../services/weatherAnalysis.js";
-import { getSegmentWithCache } from "../services/segmentService.js";
+import { AssistLevel } from "../services/weatherAnalysis.js";
+import { formatWindowTime } from "../services/forecastWindows.js";
+import { formatTimeDelta } from "../services/cyclingModel.js";
+import { formatDuration } from "../services/effortHistory.js";
+import { onRiderProfileChange } from "../services/riderProfile.js";
+import { ErrorCode } from "../errors.js";
+import { MessageType, sendRequest } from "../messaging.js";
+import { AuthEventType, onAuthChange } from "../authEvents.js";
 
 console.log("Strava Plugin: Content script loaded for starred segments page");
 
+// Marks the header and cells this script adds, so they can be removed again
+const WEATHER_COLUMN_CLASS = "strava-plugin-weather-assist";
+
+// Forecast windows listed in the tooltip of a weather cell
+const TOOLTIP_WINDOWS = 3;
+
 // Map to store weather data and analysis for segments
 const segmentWeatherMap = new Map();
 
@@ -19,10 +30,14 @@ async function addWeatherAssistColumn() {
     return;
   }
 
+  // The table may be reported more than once
+  if (table.querySelector(`.${WEATHER_COLUMN_CLASS}`)) return;
+
   // Add header column
   const headerRow = table.querySelector("thead tr");
   if (headerRow) {
     const weatherHeader = document.createElement("th");
+    weatherHeader.className = WEATHER_COLUMN_CLASS;
     weatherHeader.textContent = "Weather Assist";
     headerRow.appendChild(weatherHeader);
   }
@@ -42,6 +57,7 @@ async function addWeatherAssistColumn() {
 
     // Store segment ID as a data attribute
     const weatherCell = document.createElement("td");
+    weatherCell.className = WEATHER_COLUMN_CLASS;
     weatherCell.dataset.segmentId = segmentId;
     weatherCell.textContent = "Loading...";
     weatherCell.style.color = "gray";
@@ -49,20 +65,10 @@ async function addWeatherAssistColumn() {
 
     row.appendChild(weatherCell);
 
-    // Add to promises for batch processing
+    // Add to promises for batch processing; the Strava calls behind these
+    // are queued by the API rate limiter rather than fired all at once
     if (segmentId) {
-      const promise = processSegmentWeather(segmentId)
-        .then((analysis) => {
-          // Update the cell with the analysis result
-          updateWeatherCell(weatherCell, analysis);
-        })
-        .catch((error) => {
-          console.error(`Error processing segment ${segmentId}:`, error);
-          weatherCell.textContent = "Analysis unavailable";
-          weatherCell.style.color = "gray";
-        });
-
-      segmentPromises.push(promise);
+      segmentPromises.push(loadWeatherCell(weatherCell, segmentId));
     }
   });
 
@@ -75,6 +81,140 @@ async function addWeatherAssistColumn() {
   }
 }
 
+/**
+ * Remove the weather assist column and forget the analyses shown in it
+ */
+function removeWeatherAssistColumn() {
+  segmentWeatherMap.clear();
+  document
+    .querySelectorAll(`.${WEATHER_COLUMN_CLASS}`)
+    .forEach((element) => element.remove());
+}
+
+/**
+ * Build the weather assist column again, e.g. for another account
+ * @returns {Promise<void>}
+ */
+function reloadWeatherAssistColumn() {
+  removeWeatherAssistColumn();
+  return addWeatherAssistColumn();
+}
+
+/**
+ * Retry the cells that failed because the user was not logged in
+ */
+function retryLoggedOutCells() {
+  document
+    .querySelectorAll(
+      `td.${WEATHER_COLUMN_CLASS}[data-error-code="${ErrorCode.AUTH_REQUIRED}"]`
+    )
+    .forEach((cell) => {
+      cell.textContent = "Loading...";
+      loadWeatherCell(cell, cell.dataset.segmentId);
+    });
+}
+
+/**
+ * Follow logins, logouts, account switches and token refreshes made in the
+ * extension while this page is open
+ * @param {Object} event - Auth event from onAuthChange
+ */
+function handleAuthEvent(event) {
+  const isActive = event.athleteId === event.activeAthleteId;
+
+  switch (event.type) {
+  case AuthEventType.LOGGED_IN:
+  case AuthEventType.ACCOUNT_SWITCHED:
+    if (isActive) reloadWeatherAssistColumn();
+    break;
+  case AuthEventType.LOGGED_OUT:
+    // Another account taking over is reported as a switch
+    if (event.activeAthleteId === null) removeWeatherAssistColumn();
+    break;
+  case AuthEventType.TOKEN_REFRESHED:
+    if (isActive) retryLoggedOutCells();
+    break;
+  case AuthEventType.TOKEN_REFRESH_FAILED:
+    if (isActive && event.needsReauth) reloadWeatherAssistColumn();
+    break;
+  default:
+    break;
+  }
+}
+
+/**
+ * Estimate the segment times again for a new rider profile. A column that was
+ * removed, e.g. on logout, stays removed.
+ */
+function handleRiderProfileChange() {
+  if (document.querySelector(`.${WEATHER_COLUMN_CLASS}`)) {
+    reloadWeatherAssistColumn();
+  }
+}
+
+/**
+ * Analyze a segment and fill in its weather cell
+ * @param {HTMLElement} cell - The table cell to update
+ * @param {string} segmentId - The segment ID
+ * @returns {Promise<void>}
+ */
+async function loadWeatherCell(cell, segmentId) {
+  try {
+    const analysis = await processSegmentWeather(segmentId);
+    updateWeatherCell(cell, analysis);
+  } catch (error) {
+    console.error(`Error processing segment ${segmentId}:`, error);
+    showWeatherError(cell, segmentId, error);
+  }
+}
+
+/**
+ * Show why a segment could not be analyzed
+ * @param {HTMLElement} cell - The table cell to update
+ * @param {string} segmentId - The segment ID
+ * @param {Error} error - The failure
+ */
+function showWeatherError(cell, segmentId, error) {
+  cell.style.color = "gray";
+  cell.style.fontStyle = "italic";
+  cell.title = error.message || "";
+  cell.dataset.errorCode = error.code || "";
+
+  switch (error.code) {
+  case ErrorCode.AUTH_REQUIRED:
+    cell.textContent = "Log in via the extension";
+    break;
+  case ErrorCode.RATE_LIMITED: {
+    // Try again by ourselves once the rate limit window has reset
+    const retryAfter = error.retryAfter || 60;
+    cell.textContent = `Rate limited, retrying in ${Math.ceil(
+      retryAfter / 60
+    )} min`;
+    setTimeout(() => {
+      // The column may have been removed in the meantime
+      if (!cell.isConnected) return;
+      cell.textContent = "Loading...";
+      loadWeatherCell(cell, segmentId);
+    }, retryAfter * 1000);
+    break;
+  }
+  case ErrorCode.NETWORK_ERROR:
+    cell.textContent = "Offline";
+    break;
+  case ErrorCode.MISSING_POLYLINE:
+    cell.textContent = "No route data";
+    break;
+  case ErrorCode.BACKEND_UNAVAILABLE:
+    cell.textContent = "Weather unavailable";
+    break;
+  case ErrorCode.TIMEOUT:
+    cell.textContent = "Timed out";
+    break;
+  default:
+    cell.textContent = "Analysis unavailable";
+  }
+}
+
 /**
  * Update a weather cell with analysis results
  * @param {HTMLElement} cell - The table cell to update
@@ -87,8 +227,16 @@ function updateWeatherCell(cell, analysis) {
     return;
   }
 
-  cell.textContent = analysis.level;
-  cell.title = analysis.message;
+  delete cell.dataset.errorCode;
+  const estimate = analysis.timeEstimate;
+  cell.textContent = estimate
+    ? `${formatTimeDelta(estimate.delta)} (${analysis.level})`
+    : analysis.level;
+  cell.title = [
+    analysis.message,
+    ...describeEstimate(estimate),
+    ...describeWindows(analysis.windows),
+  ].join("\n");
   cell.style.fontStyle = "normal";
 
   // Add tooltip with detailed info
@@ -105,10 +253,48 @@ function updateWeatherCell(cell, analysis) {
   }
 }
 
+/**
+ * Describe the estimated time on the segment for the rider profile
+ * @param {Object|null} estimate - timeEstimate of the analysis
+ * @returns {Array<string>} Tooltip lines, none without an estimate
+ */
+function describeEstimate(estimate) {
+  if (!estimate) return [];
+
+  return [
+    `Estimated ${formatDuration(estimate.time)}, ` +
+      `${formatDuration(estimate.stillAirTime)} in still air`,
+  ];
+}
+
+/**
+ * Describe the best times to ride in the forecast, one line each
+ * @param {Array<Object>} windows - Forecast windows from the analysis, best first
+ * @returns {Array<string>} Tooltip lines, none without a forecast
+ */
+function describeWindows(windows) {
+  if (!windows || windows.length === 0) return [];
+
+  return [
+    "",
+    "Best times to ride:",
+    ...windows.slice(0, TOOLTIP_WINDOWS).map((forecastWindow) => {
+      const delta =
+        forecastWindow.timeDelta !== null
+          ? ` (${formatTimeDelta(forecastWindow.timeDelta)})`
+          : "";
+      return `${formatWindowTime(forecastWindow)}: ${forecastWindow.level}, ${
+        forecastWindow.message
+      }${delta}`;
+    }),
+  ];
+}
+
 /**
  * Process weather data for a segment
  * @param {string} segmentId - The segment ID
  * @returns {Promise<Object>} The weather analysis
+ * @throws {StravaPluginError} When the segment or weather could not be loaded
  */
 async function processSegmentWeather(segmentId) {
   // Check if already processed
@@ -117,40 +303,10 @@ async function processSegmentWeather(segmentId) {
   }
 
   try {
-    // Get segment details including location
-    const segment = await getSegmentWithCache(segmentId);
-
-    // If we need to extract coordinates from polyline
-    if (!segment.start_latlng && segment.map && segment.map.polyline) {
-      const coordinates = decodePolyline(segment.map.polyline);
-      if (coordinates.length > 0) {
-        segment.start_latlng = coordinates[0];
-
-        // Calculate rough direction if we have start and end points
-        if (coordinates.length > 1) {
-          segment.end_latlng = coordinates[coordinates.length - 1];
-
-          // Calculate direction (simplified calculation)
-          const [startLat, startLng] = coordinates[0];
-          const [endLat, endLng] = coordinates[coordinates.length - 1];
-          const deltaY = endLng - startLng;
-          const deltaX = endLat - startLat;
-          segment.direction = (Math.atan2(deltaY, deltaX) * 180) / Math.PI;
-        }
-      }
-    }
-
-    // Get current weather for the segment location
-    let weather;
-    if (segment.start_latlng) {
-      const [lat, lng] = segment.start_latlng;
-      weather = await getCurrentWeather(lat, lng);
-    } else {
-      throw new Error("Segment location data not available");
-    }
-
-    // Analyze the weather conditions for this segment
-    const analysis = analyzeWeather(weather, segment);
+    // The background worker loads the segment and weather and runs the analysis
+    const analysis = await sendRequest(MessageType.ANALYZE_SEGMENT, {
+      segmentId,
+    });
 
     // Cache the result
     segmentWeatherMap.set(segmentId, analysis);
@@ -158,7 +314,7 @@ async function processSegmentWeather(segmentId) {
     return analysis;
   } catch (error) {
     console.error(`Error getting weather for segment ${segmentId}:`, error);
-    return null;
+    throw error;
   }
 }
 
@@ -187,50 +343,16 @@ const observer = new MutationObserver(function (mutations) {
 // Start observing the document with the configured parameters
 observer.observe(document.body, { childList: true, subtree: true });
 
-// Helper function to decode Google polylines
-function decodePolyline(encoded) {
-  let index = 0;
-  const len = encoded.length;
-  let lat = 0;
-  let lng = 0;
-  const coordinates = [];
-
-  while (index < len) {
-    let b;
-    let shift = 0;
-    let result = 0;
-
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-
-    const dlat = result & 1 ? ~(result >> 1) : result >> 1;
-    lat += dlat;
-
-    shift = 0;
-    result = 0;
-
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-
-    const dlng = result & 1 ? ~(result >> 1) : result >> 1;
-    lng += dlng;
-
-    coordinates.push([lat * 1e-5, lng * 1e-5]);
-  }
+onAuthChange(handleAuthEvent);
 
-  return coordinates;
-}
+onRiderProfileChange(handleRiderProfileChange);
 
 // Export functions for testing
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     addWeatherAssistColumn,
+    handleAuthEvent,
+    handleRiderProfileChange,
     processSegmentWeather,
     updateWeatherCell,
   };
@@ -0,0 +1,201 @@
+// src/errors.js - Error types shared by the API, auth and weather modules
+
+/**
+ * Machine-readable error codes
+ * @enum {string}
+ */
+const ErrorCode = {
+  AUTH_REQUIRED: "AUTH_REQUIRED",
+  RATE_LIMITED: "RATE_LIMITED",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  API_ERROR: "API_ERROR",
+  MISSING_POLYLINE: "MISSING_POLYLINE",
+  BACKEND_UNAVAILABLE: "BACKEND_UNAVAILABLE",
+  MISSING_SCOPE: "MISSING_SCOPE",
+  TIMEOUT: "TIMEOUT",
+};
+
+/**
+ * Base class for all errors raised by the extension
+ */
+class StravaPluginError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Extra error details
+   * @param {ErrorCode} details.code - Machine-readable error code
+   * @param {number|null} details.status - HTTP status code, if any
+   * @param {number|null} details.retryAfter - Seconds until a retry may succeed
+   * @param {Error} details.cause - Underlying error, if any
+   */
+  constructor(
+    message,
+    { code = ErrorCode.API_ERROR, status = null, retryAfter = null, cause } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * The user needs to log in (again)
+ */
+class AuthError extends StravaPluginError {
+  constructor(
+    message = "Authentication failed. Please log in again.",
+    details
+  ) {
+    super(message, { ...details, code: ErrorCode.AUTH_REQUIRED });
+  }
+}
+
+/**
+ * The login redirect did not carry the state value of a pending login, so it
+ * was tampered with, replayed or belongs to another flow
+ */
+class OAuthStateError extends AuthError {
+  constructor(
+    message = "The login response could not be verified. Please try again.",
+    details
+  ) {
+    super(message, details);
+  }
+}
+
+/**
+ * The login redirected somewhere other than the extension's redirect URL
+ */
+class RedirectMismatchError extends AuthError {
+  constructor(
+    message = "The login redirected to an unexpected address. Please try again.",
+    details
+  ) {
+    super(message, details);
+  }
+}
+
+/**
+ * Stored tokens could not be decrypted, for example because the browser
+ * data holding the encryption key was cleared
+ */
+class TokenDecryptionError extends AuthError {
+  constructor(
+    message = "Your saved login could not be read. Please log in again.",
+    details
+  ) {
+    super(message, details);
+  }
+}
+
+/**
+ * The user has not granted a scope that a feature needs
+ */
+class MissingScopeError extends StravaPluginError {
+  constructor(scopes, details) {
+    super(`Strava access was not granted for: ${scopes.join(", ")}`, {
+      ...details,
+      code: ErrorCode.MISSING_SCOPE,
+    });
+    this.scopes = scopes;
+  }
+}
+
+/**
+ * Strava's rate limit has been reached
+ */
+class RateLimitError extends StravaPluginError {
+  constructor(
+    message = "Strava rate limit exceeded. Please try again later.",
+    details
+  ) {
+    super(message, { status: 429, ...details, code: ErrorCode.RATE_LIMITED });
+  }
+}
+
+/**
+ * The request never reached the server
+ */
+class NetworkError extends StravaPluginError {
+  constructor(
+    message = "Network request failed. Please check your connection.",
+    details
+  ) {
+    super(message, { ...details, code: ErrorCode.NETWORK_ERROR });
+  }
+}
+
+/**
+ * The Strava API answered with an error
+ */
+class ApiError extends StravaPluginError {
+  constructor(message, details) {
+    super(message, { ...details, code: ErrorCode.API_ERROR });
+  }
+}
+
+/**
+ * A segment has no route data to work with
+ */
+class MissingPolylineError extends StravaPluginError {
+  constructor(segmentId, details) {
+    super(`No polyline data available for segment ${segmentId}`, {
+      ...details,
+      code: ErrorCode.MISSING_POLYLINE,
+    });
+    this.segmentId = segmentId;
+  }
+}
+
+/**
+ * Our backend proxy (token exchange or weather) failed
+ */
+class BackendError extends StravaPluginError {
+  constructor(message = "The Strava Plugin service is unavailable.", details) {
+    super(message, { ...details, code: ErrorCode.BACKEND_UNAVAILABLE });
+  }
+}
+
+/**
+ * Another part of the extension did not answer in time
+ */
+class TimeoutError extends StravaPluginError {
+  constructor(message = "The extension did not respond in time.", details) {
+    super(message, { ...details, code: ErrorCode.TIMEOUT });
+  }
+}
+
+/**
+ * Reads the error message from a failed response body, if it has one
+ * @param {Response} response - Failed fetch response
+ * @returns {Promise<string>} The message or the status text
+ */
+async function getResponseErrorMessage(response) {
+  try {
+    const errorData = await response.json();
+    return errorData.message || response.statusText;
+  } catch (error) {
+    return response.statusText;
+  }
+}
+
+export {
+  ErrorCode,
+  StravaPluginError,
+  AuthError,
+  OAuthStateError,
+  RedirectMismatchError,
+  TokenDecryptionError,
+  MissingScopeError,
+  RateLimitError,
+  NetworkError,
+  ApiError,
+  MissingPolylineError,
+  BackendError,
+  TimeoutError,
+  getResponseErrorMessage,
+};
@@ -0,0 +1,202 @@
+// src/messaging.js - Request/response protocol between extension contexts and the background service worker
+import {
+  ErrorCode,
+  StravaPluginError,
+  AuthError,
+  OAuthStateError,
+  RedirectMismatchError,
+  TokenDecryptionError,
+  MissingScopeError,
+  RateLimitError,
+  NetworkError,
+  ApiError,
+  MissingPolylineError,
+  BackendError,
+  TimeoutError,
+} from "./errors.js";
+
+// Marks messages that belong to this protocol
+const CHANNEL = "strava-plugin";
+
+// How long to wait for the background before giving up, in milliseconds
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// Strava requests can queue behind the rate limiter until its 15 minute
+// window resets, so requests that make them wait a little longer than that
+const API_REQUEST_TIMEOUT_MS = 16 * 60 * 1000;
+
+/**
+ * Requests served by the background service worker
+ * @enum {string}
+ */
+const MessageType = {
+  // { segmentId } -> segment details with start_latlng, end_latlng and direction
+  GET_SEGMENT: "GET_SEGMENT",
+  // { lat, lng } -> current weather at the location
+  GET_WEATHER: "GET_WEATHER",
+  // { segmentId } -> weather analysis as { level, message, factors, score,
+  // timeEstimate, windows }, where timeEstimate is the time against still air
+  // for the rider profile and windows are the best times to ride
+  ANALYZE_SEGMENT: "ANALYZE_SEGMENT",
+  // { athleteId } -> nothing; the refreshed tokens are read from storage
+  TOKEN_REFRESH_NEEDED: "TOKEN_REFRESH_NEEDED",
+};
+
+// Timeouts of the requests that reach the Strava API
+const REQUEST_TIMEOUTS = {
+  [MessageType.GET_SEGMENT]: API_REQUEST_TIMEOUT_MS,
+  [MessageType.ANALYZE_SEGMENT]: API_REQUEST_TIMEOUT_MS,
+};
+
+// Errors rebuilt as their own class when they cross a context boundary
+const REMOTE_ERRORS = {
+  AuthError,
+  OAuthStateError,
+  RedirectMismatchError,
+  TokenDecryptionError,
+  RateLimitError,
+  NetworkError,
+  ApiError,
+  BackendError,
+  TimeoutError,
+};
+
+// Numbers request ids within this context
+let requestCount = 0;
+const contextId = Math.random().toString(36).slice(2, 10);
+
+/**
+ * Sends a request to the background service worker
+ * @param {MessageType} type - Request type
+ * @param {Object} payload - Request data
+ * @param {Object} options - Request options
+ * @param {number} options.timeoutMs - Give up after this many milliseconds;
+ * requests that reach the Strava API wait out a rate limit window by default
+ * @returns {Promise<any>} The result of the request
+ * @throws {StravaPluginError} The error raised by the background, or a TimeoutError
+ */
+function sendRequest(
+  type,
+  payload = {},
+  { timeoutMs = REQUEST_TIMEOUTS[type] ?? DEFAULT_TIMEOUT_MS } = {}
+) {
+  const id = `${contextId}-${++requestCount}`;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      callback(value);
+    };
+
+    const timer = setTimeout(() => {
+      settle(reject, new TimeoutError(`${type} request timed out`));
+    }, timeoutMs);
+
+    chrome.runtime.sendMessage(
+      { channel: CHANNEL, id, type, payload },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          settle(reject, new Error(chrome.runtime.lastError.message));
+          return;
+        }
+
+        if (!response || response.id !== id) {
+          settle(reject, new Error(`No valid response to ${type} request`));
+          return;
+        }
+
+        if (response.ok) {
+          settle(resolve, response.result);
+        } else {
+          settle(reject, deserializeError(response.error));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Serves requests in the background service worker. Messages that are not
+ * part of this protocol are left to other listeners.
+ * @param {Object<MessageType, Function>} handlers - Handlers called with (payload, sender), returning a result or a promise
+ */
+function handleRequests(handlers) {
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || message.channel !== CHANNEL) return false;
+
+    const { id, type, payload } = message;
+    const handler = handlers[type];
+
+    Promise.resolve()
+      .then(() => {
+        if (!handler) {
+          throw new StravaPluginError(`Unknown request type: ${type}`);
+        }
+        return handler(payload || {}, sender);
+      })
+      .then((result) => sendResponse({ id, ok: true, result }))
+      .catch((error) => {
+        console.error(`Error handling ${type} request:`, error);
+        sendResponse({ id, ok: false, error: serializeError(error) });
+      });
+
+    return true; // Required for async sendResponse
+  });
+}
+
+/**
+ * Converts an error into plain data that can be sent between contexts
+ * @param {Error} error - The error
+ * @returns {Object} Error data
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status ?? null,
+    retryAfter: error.retryAfter ?? null,
+    segmentId: error.segmentId,
+    scopes: error.scopes,
+  };
+}
+
+/**
+ * Rebuilds an error from data made by serializeError, keeping its class
+ * where it is one of ours
+ * @param {Object} data - Error data
+ * @returns {Error} The error
+ */
+function deserializeError(data = {}) {
+  const { name, message, code, status, retryAfter } = data;
+  const details = { status, retryAfter };
+
+  if (name === "MissingPolylineError") {
+    return new MissingPolylineError(data.segmentId, details);
+  }
+  if (name === "MissingScopeError") {
+    return new MissingScopeError(data.scopes || [], details);
+  }
+
+  const ErrorClass = REMOTE_ERRORS[name];
+  if (ErrorClass) {
+    return new ErrorClass(message, details);
+  }
+
+  // Errors from elsewhere keep their message and code
+  return new StravaPluginError(message || "Request failed", {
+    ...details,
+    code: code || ErrorCode.API_ERROR,
+  });
+}
+
+export {
+  MessageType,
+  sendRequest,
+  handleRequests,
+  serializeError,
+  deserializeError,
+};
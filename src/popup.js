@@ -1,20 +1,113 @@
 // src/popup.js - Main popup script for the Strava Plugin
-import { authenticate, getAuthData, logout } from "./auth.js";
+import {
+  authenticate,
+  getAccounts,
+  getActiveAthleteId,
+  getAuthData,
+  hasScope,
+  logout,
+  requestScopes,
+  setActiveAccount,
+} from "./auth.js";
+import { AuthEventType, onAuthChange } from "./authEvents.js";
 import {
   getAthleteProfile,
-  getStarredSegments,
-  getSegmentPolyline,
+  getAllStarredSegments,
+  getAllSegmentEfforts,
+  getSegmentTrack,
   convertToGPX,
+  convertToTCX,
+  convertToFIT,
+  convertToGeoJSON,
+  convertToKML,
 } from "./api.js";
+import { getRateLimitUsage } from "./services/rateLimiter.js";
+import { clearCache } from "./services/responseCache.js";
+import { deleteAllUserData } from "./services/dataRemoval.js";
+import { exportSegmentsAsZip } from "./services/bulkExport.js";
+import {
+  summarizeEfforts,
+  formatDuration,
+  formatGap,
+} from "./services/effortHistory.js";
+import { analyzeEffortsWeather } from "./services/effortWeather.js";
+import { analyzeSegmentWeather } from "./services/segmentWeather.js";
+import { formatWindowTime } from "./services/forecastWindows.js";
+import { formatTimeDelta } from "./services/cyclingModel.js";
+import {
+  PROFILE_LIMITS,
+  getRiderProfile,
+  saveRiderProfile,
+  onRiderProfileChange,
+} from "./services/riderProfile.js";
+import { AssistLevel, WindEffect } from "./services/weatherAnalysis.js";
+import { AuthError, ErrorCode } from "./errors.js";
+
+// Export formats offered by the format selector. Formats marked as
+// multiple take a list of { segment, coordinates } and can hold every segment.
+const EXPORT_FORMATS = {
+  gpx: {
+    extension: "gpx",
+    mimeType: "application/gpx+xml",
+    serialize: convertToGPX,
+  },
+  tcx: {
+    extension: "tcx",
+    mimeType: "application/vnd.garmin.tcx+xml",
+    serialize: convertToTCX,
+  },
+  fit: {
+    extension: "fit",
+    mimeType: "application/vnd.ant.fit",
+    serialize: convertToFIT,
+  },
+  geojson: {
+    extension: "geojson",
+    mimeType: "application/geo+json",
+    serialize: convertToGeoJSON,
+    multiple: true,
+  },
+  kml: {
+    extension: "kml",
+    mimeType: "application/vnd.google-earth.kml+xml",
+    serialize: convertToKML,
+    multiple: true,
+  },
+};
+
+// Strava only lists an athlete's segment efforts with this scope
+const EFFORTS_SCOPE = "activity:read";
+
+// Stands in for the effort id of a PR that the effort list leaves out
+const UNLISTED_PR_ID = "unlisted-pr";
+
+// How the wind during an effort is shown in the effort history
+const WIND_EFFECT_LABELS = {
+  [WindEffect.TAILWIND]: "Tailwind",
+  [WindEffect.HEADWIND]: "Headwind",
+  [WindEffect.CROSSWIND]: "Crosswind",
+  [WindEffect.MIXED]: "Mixed wind",
+  [WindEffect.CALM]: "No wind",
+  [WindEffect.UNKNOWN]: "Wind",
+};
 
 // Store the current state
 const state = {
   isAuthenticated: false,
+  activeAthleteId: null,
   athlete: null,
   segments: [],
-  selectedSegmentId: null,
+  selectedSegmentIds: new Set(),
+  selectionAnchor: null,
   isLoading: false,
   error: null,
+  retryCountdown: null,
+  bulkExport: null,
+  detailSegment: null,
+  effortWeather: null,
+  prEffortId: null,
+  authSync: Promise.resolve(),
+  authSyncPending: false,
 };
 
 // DOM elements
@@ -25,13 +118,38 @@ let profileSection;
 let profileImage;
 let profileName;
 let profileDetails;
+let accountSelect;
+let addAccountButton;
 let segmentsSection;
 let segmentsLoading;
+let segmentsProgress;
 let segmentsError;
 let segmentsList;
 let refreshButton;
-let downloadGpxButton;
+let exportFormatSelect;
+let selectionCount;
+let selectAllButton;
+let selectNoneButton;
+let downloadButton;
+let downloadZipButton;
+let downloadAllButton;
 let versionElement;
+let rateLimitStatus;
+let clearCacheButton;
+let deleteDataButton;
+let dataRemovalReport;
+let segmentDetailSection;
+let segmentDetailBack;
+let segmentDetailName;
+let segmentDetailStats;
+let segmentDetailPrWeather;
+let segmentDetailMessage;
+let grantActivityButton;
+let effortList;
+let forecastStatus;
+let forecastList;
+let riderProfileForm;
+let riderProfileStatus;
 
 // Initialize the popup
 document.addEventListener("DOMContentLoaded", async function () {
@@ -51,27 +169,69 @@ document.addEventListener("DOMContentLoaded", async function () {
   profileImage = document.getElementById("profile-image");
   profileName = document.getElementById("profile-name");
   profileDetails = document.getElementById("profile-details");
+  accountSelect = document.getElementById("account-select");
+  addAccountButton = document.getElementById("add-account-button");
   segmentsSection = document.getElementById("segments-section");
   segmentsLoading = document.getElementById("segments-loading");
+  segmentsProgress = document.getElementById("segments-progress");
   segmentsError = document.getElementById("segments-error");
   segmentsList = document.getElementById("segments-list");
   refreshButton = document.getElementById("refresh-button");
-  downloadGpxButton = document.getElementById("download-gpx");
+  exportFormatSelect = document.getElementById("export-format");
+  downloadButton = document.getElementById("download-button");
+  downloadZipButton = document.getElementById("download-zip-button");
+  downloadAllButton = document.getElementById("download-all-button");
+  selectionCount = document.getElementById("selection-count");
+  selectAllButton = document.getElementById("select-all-button");
+  selectNoneButton = document.getElementById("select-none-button");
+  rateLimitStatus = document.getElementById("rate-limit-status");
+  clearCacheButton = document.getElementById("clear-cache-button");
+  deleteDataButton = document.getElementById("delete-data-button");
+  dataRemovalReport = document.getElementById("data-removal-report");
+  segmentDetailSection = document.getElementById("segment-detail-section");
+  segmentDetailBack = document.getElementById("segment-detail-back");
+  segmentDetailName = document.getElementById("segment-detail-name");
+  segmentDetailStats = document.getElementById("segment-detail-stats");
+  segmentDetailPrWeather = document.getElementById("segment-detail-pr-weather");
+  segmentDetailMessage = document.getElementById("segment-detail-message");
+  grantActivityButton = document.getElementById("grant-activity-button");
+  effortList = document.getElementById("effort-list");
+  forecastStatus = document.getElementById("forecast-status");
+  forecastList = document.getElementById("forecast-list");
+  riderProfileForm = document.getElementById("rider-profile-form");
+  riderProfileStatus = document.getElementById("rider-profile-status");
 
   // Set up event listeners
   loginButton.addEventListener("click", handleLogin);
   logoutButton.addEventListener("click", handleLogout);
-  refreshButton.addEventListener("click", loadStarredSegments);
-  downloadGpxButton.addEventListener("click", downloadSelectedSegmentAsGPX);
+  addAccountButton.addEventListener("click", handleLogin);
+  accountSelect.addEventListener("change", handleAccountChange);
+  refreshButton.addEventListener("click", () => loadStarredSegments(true));
+  clearCacheButton.addEventListener("click", handleClearCache);
+  deleteDataButton.addEventListener("click", handleDeleteData);
+  downloadButton.addEventListener("click", downloadSegments);
+  downloadZipButton.addEventListener("click", () =>
+    toggleZipExport(downloadZipButton, getSelectedSegments())
+  );
+  downloadAllButton.addEventListener("click", () =>
+    toggleZipExport(downloadAllButton, state.segments)
+  );
+  segmentsList.addEventListener("click", handleSegmentClick);
+  selectAllButton.addEventListener("click", () => setAllSelected(true));
+  selectNoneButton.addEventListener("click", () => setAllSelected(false));
+  segmentDetailBack.addEventListener("click", closeSegmentDetail);
+  grantActivityButton.addEventListener("click", handleGrantActivityAccess);
+  riderProfileForm.addEventListener("submit", handleSaveRiderProfile);
+
+  updateRateLimitStatus();
+  getRiderProfile().then(showRiderProfile);
+  onRiderProfileChange(showRiderProfile);
 
   // Check authentication status on load
   try {
     const authData = await getAuthData();
     if (authData && authData.access_token) {
-      state.isAuthenticated = true;
-      updateAuthUI();
-      await loadUserProfile();
-      await loadStarredSegments();
+      await showActiveAccount();
     } else {
       updateAuthUI();
     }
@@ -79,34 +239,165 @@ document.addEventListener("DOMContentLoaded", async function () {
     handleError(error);
     updateAuthUI();
   }
+
+  // Follow logins, logouts and refreshes made in other windows or tabs and
+  // by the background worker
+  onAuthChange(handleAuthEvent);
 });
 
-// Handle login button click
+// React to a change of the login state made anywhere in the extension
+function handleAuthEvent(event) {
+  if (event.type === AuthEventType.TOKEN_REFRESH_FAILED) {
+    if (event.needsReauth && event.athleteId === state.activeAthleteId) {
+      handleError(new AuthError());
+    }
+    return;
+  }
+
+  // The popup's own actions render their result; check again once done
+  if (state.isLoading) {
+    state.authSyncPending = true;
+    return;
+  }
+
+  // Events arrive in bursts, so syncs run one after another
+  state.authSync = state.authSync.then(syncAuthState);
+}
+
+// Show the active account unless it is already shown
+async function syncAuthState() {
+  try {
+    const authData = await getAuthData();
+
+    if (!authData || !authData.access_token) {
+      if (authData && authData.needs_reauth) {
+        handleError(new AuthError());
+      } else if (state.isAuthenticated) {
+        showLoggedOut();
+      }
+      return;
+    }
+
+    if (
+      state.isAuthenticated &&
+      authData.athlete.id === state.activeAthleteId
+    ) {
+      // Other accounts may have logged in or out
+      await renderAccountSwitcher();
+      return;
+    }
+
+    await showActiveAccount();
+  } catch (error) {
+    handleError(error);
+  }
+}
+
+// Handle login and add account button clicks
 async function handleLogin() {
   setLoading(true);
   try {
     await authenticate();
-    state.isAuthenticated = true;
-    updateAuthUI();
-    await loadUserProfile();
-    await loadStarredSegments();
+    await showActiveAccount();
   } catch (error) {
-    handleError(error);
+    if (error.code === ErrorCode.AUTH_REQUIRED) {
+      // A failed login leaves any account that is already logged in untouched
+      console.error("Login failed:", error);
+      if (state.isAuthenticated) {
+        showError(error.message);
+      } else {
+        authStatus.textContent = error.message;
+      }
+    } else {
+      handleError(error);
+    }
   } finally {
     setLoading(false);
   }
 }
 
-// Handle logout button click
+// Handle logout button click; logs out the active account only
 async function handleLogout() {
   setLoading(true);
   try {
-    await logout();
-    state.isAuthenticated = false;
-    state.athlete = null;
-    state.segments = [];
-    state.selectedSegmentId = null;
-    updateAuthUI();
+    const { revoked, activeAthleteId } = await logout();
+    const revokeWarning =
+      "Logged out, but Strava access could not be revoked. " +
+      "Remove the app at strava.com/settings/apps.";
+
+    if (activeAthleteId != null) {
+      await showActiveAccount();
+      if (!revoked) showError(revokeWarning);
+      return;
+    }
+
+    showLoggedOut();
+    if (!revoked) authStatus.textContent = revokeWarning;
+  } catch (error) {
+    handleError(error);
+  } finally {
+    setLoading(false);
+  }
+}
+
+// Handle the disconnect and delete my data button
+async function handleDeleteData() {
+  const confirmed = window.confirm(
+    "Log out of every account, revoke the extension's access at Strava " +
+      "and delete all data it stored?"
+  );
+  if (!confirmed) return;
+
+  setLoading(true);
+  try {
+    const report = await deleteAllUserData();
+    showLoggedOut();
+    renderDataRemovalReport(report);
+  } catch (error) {
+    handleError(error);
+  } finally {
+    setLoading(false);
+  }
+}
+
+// List what was revoked and deleted
+function renderDataRemovalReport(report) {
+  const lines = report.accounts.map(({ name, revoked }) =>
+    revoked
+      ? `${name}: Strava access revoked and login deleted`
+      : `${name}: login deleted, but Strava access could not be revoked. ` +
+        "Remove the app at strava.com/settings/apps."
+  );
+
+  lines.push(`${report.cachedResponses} cached Strava responses deleted`);
+  if (report.otherItems.length > 0) {
+    lines.push(`Also deleted: ${report.otherItems.join(", ")}`);
+  }
+
+  dataRemovalReport.innerHTML = "";
+  lines.forEach((line) => {
+    const item = document.createElement("li");
+    item.textContent = line;
+    dataRemovalReport.appendChild(item);
+  });
+  dataRemovalReport.style.display = "block";
+}
+
+// Show the logged out state
+function showLoggedOut() {
+  state.isAuthenticated = false;
+  state.activeAthleteId = null;
+  state.athlete = null;
+  resetSegments();
+  updateAuthUI();
+}
+
+// Handle picking another account in the account switcher
+async function handleAccountChange() {
+  setLoading(true);
+  try {
+    await setActiveAccount(accountSelect.value);
+    await showActiveAccount();
   } catch (error) {
     handleError(error);
   } finally {
@@ -114,6 +405,59 @@ async function handleLogout() {
   }
 }
 
+// Show the profile and segments of the active account
+async function showActiveAccount() {
+  state.isAuthenticated = true;
+  state.activeAthleteId = await getActiveAthleteId();
+  dataRemovalReport.style.display = "none";
+  state.athlete = null;
+  resetSegments();
+  updateAuthUI();
+  await renderAccountSwitcher();
+  await loadUserProfile();
+  await loadStarredSegments();
+}
+
+// Forget the segments and selection of the previous account
+function resetSegments() {
+  closeSegmentDetail();
+  state.segments = [];
+  state.selectedSegmentIds.clear();
+  state.selectionAnchor = null;
+  segmentsList.innerHTML = "";
+  segmentsProgress.style.display = "none";
+  updateExportControls();
+}
+
+// Fill the account switcher; it is only shown with several accounts
+async function renderAccountSwitcher() {
+  const accounts = await getAccounts();
+
+  accountSelect.innerHTML = "";
+  accounts.forEach((account) => {
+    const option = document.createElement("option");
+    option.value = account.id;
+    option.textContent = `${account.firstname} ${account.lastname}`;
+    option.selected = account.isActive;
+    accountSelect.appendChild(option);
+  });
+
+  accountSelect.style.display = accounts.length > 1 ? "block" : "none";
+}
+
+// Handle clear cache button click
+async function handleClearCache() {
+  clearCacheButton.disabled = true;
+  try {
+    const removed = await clearCache();
+    clearCacheButton.textContent = `Cleared ${removed} cached items`;
+  } catch (error) {
+    handleError(error);
+  } finally {
+    clearCacheButton.disabled = false;
+  }
+}
+
 // Load user profile data
 async function loadUserProfile() {
   if (!state.isAuthenticated) return;
@@ -140,30 +484,62 @@ async function loadUserProfile() {
   }
 }
 
-// Load starred segments
-async function loadStarredSegments() {
+// Load starred segments, rendering each page as it arrives
+async function loadStarredSegments(forceRefresh = false) {
   if (!state.isAuthenticated) return;
 
   setLoading(true);
   segmentsLoading.style.display = "block";
   segmentsList.innerHTML = "";
   segmentsError.style.display = "none";
+  segmentsProgress.style.display = "none";
+  state.segments = [];
 
   try {
-    const segments = await getStarredSegments();
-    state.segments = segments;
-
-    // Update UI
-    renderSegmentsList();
     segmentsSection.style.display = "block";
+
+    for await (const page of getAllStarredSegments(200, forceRefresh)) {
+      state.segments.push(...page);
+      appendSegmentItems(page);
+      updateSegmentsProgress();
+      segmentsLoading.style.display = "none";
+    }
+
+    if (state.segments.length === 0) {
+      renderSegmentsList();
+    }
+    pruneSelection();
+    updateSegmentsProgress();
   } catch (error) {
     handleError(error);
   } finally {
     setLoading(false);
     segmentsLoading.style.display = "none";
+    updateRateLimitStatus();
   }
 }
 
+// Show how much of the Strava API quota has been used
+async function updateRateLimitStatus() {
+  try {
+    const { shortTerm, daily } = await getRateLimitUsage();
+    rateLimitStatus.textContent =
+      `API usage: ${shortTerm.usage}/${shortTerm.limit} (15 min), ` +
+      `${daily.usage}/${daily.limit} (daily)`;
+  } catch (error) {
+    console.error("Error reading rate limit usage:", error);
+  }
+}
+
+// Show how many segments have been loaded so far. Strava does not report
+// a total, so none is shown.
+function updateSegmentsProgress() {
+  const loaded = state.segments.length;
+
+  segmentsProgress.textContent = `Loaded ${loaded} segments`;
+  segmentsProgress.style.display = loaded > 0 ? "block" : "none";
+}
+
 // Render the segments list
 function renderSegmentsList() {
   segmentsList.innerHTML = "";
@@ -173,77 +549,629 @@ function renderSegmentsList() {
     return;
   }
 
-  state.segments.forEach((segment) => {
-    const segmentItem = document.createElement("div");
-    segmentItem.classList.add("segment-item");
-    if (segment.id === state.selectedSegmentId) {
-      segmentItem.style.backgroundColor = "#f0f0f0";
-      segmentItem.style.borderColor = "#FC4C02";
+  appendSegmentItems(state.segments);
+}
+
+// Append list items for the given segments
+function appendSegmentItems(segments) {
+  segments.forEach((segment) => {
+    segmentsList.appendChild(createSegmentItem(segment));
+  });
+}
+
+// Create the list item for a single segment
+function createSegmentItem(segment) {
+  const segmentItem = document.createElement("div");
+  segmentItem.classList.add("segment-item");
+  segmentItem.dataset.segmentId = segment.id;
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.classList.add("segment-checkbox");
+
+  // Names and cities come from other athletes, so they are set as text
+  const name = document.createElement("div");
+  name.classList.add("segment-name");
+  name.textContent = segment.name;
+
+  const details = document.createElement("div");
+  details.classList.add("segment-details");
+  details.textContent = [
+    segment.distance ? `${(segment.distance / 1000).toFixed(2)} km` : "",
+    segment.average_grade ? `${segment.average_grade}% grade` : "",
+    segment.city || "",
+  ]
+    .filter(Boolean)
+    .join(" • ");
+
+  const info = document.createElement("div");
+  info.classList.add("segment-info");
+  info.append(name, details);
+
+  const historyButton = document.createElement("button");
+  historyButton.classList.add("link-button", "segment-history-button");
+  historyButton.textContent = "History";
+
+  segmentItem.append(checkbox, info, historyButton);
+
+  updateSegmentItem(segmentItem, state.selectedSegmentIds.has(segment.id));
+  return segmentItem;
+}
+
+// Show whether a list item is selected
+function updateSegmentItem(segmentItem, isSelected) {
+  segmentItem.classList.toggle("selected", isSelected);
+  segmentItem.querySelector(".segment-checkbox").checked = isSelected;
+}
+
+// Toggle selection on click; shift-click selects the range from the last click
+function handleSegmentClick(event) {
+  const segmentItem = event.target.closest(".segment-item");
+  if (!segmentItem) return;
+
+  const index = state.segments.findIndex(
+    (s) => String(s.id) === segmentItem.dataset.segmentId
+  );
+  if (index === -1) return;
+
+  if (event.target.closest(".segment-history-button")) {
+    showSegmentDetail(state.segments[index]);
+    return;
+  }
+
+  const segmentId = state.segments[index].id;
+  const isSelected = !state.selectedSegmentIds.has(segmentId);
+  const anchorIndex = state.segments.findIndex(
+    (s) => s.id === state.selectionAnchor
+  );
+
+  if (event.shiftKey && anchorIndex !== -1) {
+    const start = Math.min(anchorIndex, index);
+    const end = Math.max(anchorIndex, index);
+    setSelected(
+      state.segments.slice(start, end + 1).map((s) => s.id),
+      isSelected
+    );
+  } else {
+    setSelected([segmentId], isSelected);
+  }
+
+  state.selectionAnchor = segmentId;
+}
+
+// Open the effort history of a segment in place of the segment list
+async function showSegmentDetail(segment) {
+  state.detailSegment = segment;
+  segmentsSection.style.display = "none";
+  segmentDetailSection.style.display = "block";
+  segmentDetailName.textContent = segment.name;
+
+  // Start from the PR summary that came with the starred segment
+  renderSegmentDetail(summarizeEfforts([], segment.athlete_pr_effort));
+  loadForecast(segment);
+  await loadSegmentEfforts(segment);
+}
+
+// Rate the weather on the segment now and for the coming hours
+async function loadForecast(segment) {
+  forecastList.innerHTML = "";
+  forecastStatus.textContent = "Loading forecast...";
+
+  try {
+    const analysis = await analyzeSegmentWeather(segment.id);
+
+    // Another segment may have been opened in the meantime
+    if (state.detailSegment !== segment) return;
+    renderForecast(analysis);
+  } catch (error) {
+    console.error("Error loading forecast:", error);
+    if (state.detailSegment === segment) {
+      forecastStatus.textContent = "Forecast unavailable for this segment";
     }
+  }
+}
 
-    segmentItem.innerHTML = `
-      <div class="segment-name">${segment.name}</div>
-      <div class="segment-details">
-        ${segment.distance ? (segment.distance / 1000).toFixed(2) + " km" : ""} 
-        ${
-  segment.average_grade ? " • " + segment.average_grade + "% grade" : ""
-}
-        ${segment.city ? " • " + segment.city : ""}
-      </div>
-    `;
-
-    segmentItem.addEventListener("click", () => {
-      state.selectedSegmentId = segment.id;
-      downloadGpxButton.disabled = false;
-      renderSegmentsList(); // Re-render to show selected state
-    });
+// Show the conditions now and the best times to ride, best first
+function renderForecast(analysis) {
+  const delta = analysis.timeEstimate
+    ? ` (${formatTimeDelta(analysis.timeEstimate.delta)})`
+    : "";
+  forecastStatus.textContent = `Now: ${analysis.level}, ${analysis.message}${delta}`;
+
+  forecastList.innerHTML = "";
+  analysis.windows.forEach((forecastWindow) => {
+    const item = document.createElement("li");
+    item.classList.add("effort-item");
+
+    const time = document.createElement("span");
+    time.textContent = formatWindowTime(forecastWindow);
+    const level = document.createElement("span");
+    level.classList.add("forecast-level");
+    level.classList.toggle(
+      "favorable",
+      forecastWindow.level === AssistLevel.FAVORABLE
+    );
+    level.classList.toggle(
+      "unfavorable",
+      forecastWindow.level === AssistLevel.UNFAVORABLE
+    );
+    level.textContent =
+      forecastWindow.timeDelta !== null
+        ? `${formatTimeDelta(forecastWindow.timeDelta)} (${
+          forecastWindow.level
+        })`
+        : forecastWindow.level;
+    level.title = forecastWindow.message;
+    const wind = document.createElement("span");
+    wind.classList.add("effort-weather");
+    wind.textContent = WIND_EFFECT_LABELS[forecastWindow.windEffect];
 
-    segmentsList.appendChild(segmentItem);
+    item.append(time, level, wind);
+    forecastList.appendChild(item);
   });
 }
 
-// Download selected segment as GPX
-async function downloadSelectedSegmentAsGPX() {
-  if (!state.selectedSegmentId) return;
+// Fill in the rider profile form
+function showRiderProfile(profile) {
+  Object.entries(PROFILE_LIMITS).forEach(([field, { min, max }]) => {
+    const input = riderProfileForm.elements[field];
+    input.min = min;
+    input.max = max;
+    input.value = profile[field];
+  });
+}
+
+// Save the rider profile that segment times are estimated for
+async function handleSaveRiderProfile(event) {
+  event.preventDefault();
+
+  try {
+    await saveRiderProfile(Object.fromEntries(new FormData(riderProfileForm)));
+    riderProfileStatus.textContent = "Profile saved";
+
+    // Estimates already shown were made for the old profile
+    if (state.detailSegment) loadForecast(state.detailSegment);
+  } catch (error) {
+    console.error("Error saving rider profile:", error);
+    riderProfileStatus.textContent = "Could not save the profile";
+  }
+}
+
+// Return from the effort history to the segment list
+function closeSegmentDetail() {
+  state.detailSegment = null;
+  if (state.effortWeather) {
+    state.effortWeather.abort();
+    state.effortWeather = null;
+  }
+  segmentDetailSection.style.display = "none";
+  segmentsSection.style.display = state.isAuthenticated ? "block" : "none";
+}
+
+// Load every effort on the segment, asking for access to activities if needed
+async function loadSegmentEfforts(segment) {
+  segmentDetailMessage.style.display = "none";
+  grantActivityButton.style.display = "none";
+
+  if (!(await hasScope(EFFORTS_SCOPE))) {
+    showDetailMessage(
+      "Allow access to your activities to see every effort on this segment."
+    );
+    grantActivityButton.style.display = "block";
+    return;
+  }
 
   setLoading(true);
   try {
-    const selectedSegment = state.segments.find(
-      (s) => s.id === state.selectedSegmentId
+    const efforts = [];
+    for await (const page of getAllSegmentEfforts(segment.id)) {
+      efforts.push(...page);
+    }
+
+    // Another segment may have been opened in the meantime
+    if (state.detailSegment !== segment) return;
+    const summary = summarizeEfforts(efforts, segment.athlete_pr_effort);
+    renderSegmentDetail(summary);
+
+    // Weather fills in while the history can already be read
+    loadEffortWeather(segment, efforts, summary.pr);
+  } catch (error) {
+    if (error.status === 402) {
+      showDetailMessage(
+        "Strava only lists every effort to subscribers. Your PR and effort " +
+          "count are shown above."
+      );
+    } else {
+      handleError(error);
+      if (state.detailSegment === segment) showDetailMessage(state.error);
+    }
+  } finally {
+    setLoading(false);
+  }
+}
+
+// Look up the weather during each effort, newest first
+async function loadEffortWeather(segment, efforts, pr) {
+  const controller = new AbortController();
+  state.effortWeather = controller;
+
+  const newestFirst = [...efforts].sort(
+    (a, b) => new Date(b.start_date) - new Date(a.start_date)
+  );
+
+  // A PR older than the listed efforts still gets its wind looked up
+  if (pr && pr.id === null && pr.date) {
+    newestFirst.unshift({ id: UNLISTED_PR_ID, start_date: pr.date });
+  }
+
+  try {
+    await analyzeEffortsWeather(newestFirst, segment.id, {
+      onResult: showEffortWeather,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    console.error("Error loading weather for efforts:", error);
+    if (!controller.signal.aborted) {
+      segmentDetailPrWeather.textContent =
+        "Weather unavailable for this segment";
+    }
+  } finally {
+    if (state.effortWeather === controller) state.effortWeather = null;
+  }
+}
+
+// Show the wind during an effort, and whether the PR was wind-assisted
+function showEffortWeather({ effort, analysis, error }) {
+  if (!error && effort.id === state.prEffortId) {
+    segmentDetailPrWeather.textContent = describePrWind(analysis.windEffect);
+  }
+
+  const item = effortList.querySelector(`[data-effort-id="${effort.id}"]`);
+  if (!item) return;
+
+  const weather = item.querySelector(".effort-weather");
+  if (error) {
+    weather.textContent = "–";
+    weather.title = "Weather unavailable";
+    return;
+  }
+
+  weather.textContent = WIND_EFFECT_LABELS[analysis.windEffect];
+  weather.title = analysis.message;
+}
+
+// Describe the wind during the PR effort
+function describePrWind(windEffect) {
+  switch (windEffect) {
+  case WindEffect.TAILWIND:
+    return "Your PR was wind-assisted";
+  case WindEffect.HEADWIND:
+    return "Your PR was set against the wind";
+  case WindEffect.UNKNOWN:
+    return "Wind during your PR is unknown";
+  default:
+    return "Your PR was set without help from the wind";
+  }
+}
+
+// Ask Strava for access to activities, then load the efforts
+async function handleGrantActivityAccess() {
+  const segment = state.detailSegment;
+
+  setLoading(true);
+  try {
+    await requestScopes([EFFORTS_SCOPE]);
+  } catch (error) {
+    console.error("Could not get access to activities:", error);
+    showDetailMessage(error.message);
+    return;
+  } finally {
+    setLoading(false);
+  }
+
+  if (segment && state.detailSegment === segment) {
+    await loadSegmentEfforts(segment);
+  }
+}
+
+// Show the PR, effort count and progression of a segment
+function renderSegmentDetail(summary) {
+  const stats = [];
+  if (summary.prTime !== null) {
+    const prDate = summary.prDate ? ` on ${formatDate(summary.prDate)}` : "";
+    stats.push(`PR ${formatDuration(summary.prTime)}${prDate}`);
+  }
+  stats.push(
+    `${summary.effortCount} ${summary.effortCount === 1 ? "effort" : "efforts"}`
+  );
+  if (summary.latest) {
+    stats.push(`Last effort ${formatGap(summary.latest.gapToPr)} vs PR`);
+  }
+  segmentDetailStats.textContent = stats.join(" • ");
+  segmentDetailPrWeather.textContent = "";
+  state.prEffortId = summary.pr ? summary.pr.id ?? UNLISTED_PR_ID : null;
+
+  // Newest first, so recent form is at the top
+  effortList.innerHTML = "";
+  [...summary.progression].reverse().forEach((effort) => {
+    const item = document.createElement("li");
+    item.classList.add("effort-item");
+    item.classList.toggle("pr", effort.id === state.prEffortId);
+    item.dataset.effortId = effort.id;
+
+    const date = document.createElement("span");
+    date.textContent = formatDate(effort.date);
+    const time = document.createElement("span");
+    time.textContent = `${formatDuration(effort.elapsedTime)} (${formatGap(
+      effort.gapToPr
+    )})${effort.isPr ? " ▲" : ""}`;
+    time.title = effort.isPr ? "Faster than every earlier effort" : "";
+    const weather = document.createElement("span");
+    weather.classList.add("effort-weather");
+
+    item.append(date, time, weather);
+    effortList.appendChild(item);
+  });
+}
+
+// Show a note about the effort history
+function showDetailMessage(message) {
+  segmentDetailMessage.textContent = message;
+  segmentDetailMessage.style.display = "block";
+}
+
+// Format a date from the Strava API for display. Local dates come with a
+// Z suffix although they are not UTC, so they are read back as UTC.
+function formatDate(value) {
+  return new Date(value).toLocaleDateString(undefined, { timeZone: "UTC" });
+}
+
+// Select or deselect every segment
+function setAllSelected(isSelected) {
+  setSelected(
+    state.segments.map((s) => s.id),
+    isSelected
+  );
+  state.selectionAnchor = null;
+}
+
+// Select or deselect segments, updating only their list items
+function setSelected(segmentIds, isSelected) {
+  segmentIds.forEach((segmentId) => {
+    if (isSelected) {
+      state.selectedSegmentIds.add(segmentId);
+    } else {
+      state.selectedSegmentIds.delete(segmentId);
+    }
+
+    const segmentItem = segmentsList.querySelector(
+      `.segment-item[data-segment-id="${segmentId}"]`
     );
-    const coordinates = await getSegmentPolyline(state.selectedSegmentId);
-    const gpxContent = convertToGPX(coordinates, selectedSegment.name);
-
-    // Create and download the file
-    const blob = new Blob([gpxContent], { type: "application/gpx+xml" });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `segment-${state.selectedSegmentId}.gpx`;
-    document.body.appendChild(a);
-    a.click();
-
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 100);
+    if (segmentItem) {
+      updateSegmentItem(segmentItem, isSelected);
+    }
+  });
+
+  updateExportControls();
+}
+
+// Drop selected segments that are no longer starred
+function pruneSelection() {
+  const segmentIds = new Set(state.segments.map((s) => s.id));
+  state.selectedSegmentIds.forEach((segmentId) => {
+    if (!segmentIds.has(segmentId)) {
+      state.selectedSegmentIds.delete(segmentId);
+    }
+  });
+  updateExportControls();
+}
+
+// Get the selected segments in list order
+function getSelectedSegments() {
+  return state.segments.filter((s) => state.selectedSegmentIds.has(s.id));
+}
+
+// Enable exports when something is selected
+function updateExportControls() {
+  const selected = state.selectedSegmentIds.size;
+  selectionCount.textContent = `${selected} selected`;
+
+  if (state.isLoading) return;
+  downloadButton.disabled = selected === 0;
+  downloadZipButton.disabled = selected === 0;
+  downloadAllButton.disabled = state.segments.length === 0;
+}
+
+// Download the selected segments in the chosen format. Formats that hold
+// several segments get a single file; other formats fall back to a ZIP.
+async function downloadSegments() {
+  const format = EXPORT_FORMATS[exportFormatSelect.value];
+  const segments = getSelectedSegments();
+
+  if (segments.length === 0) return;
+  if (segments.length > 1 && !format.multiple) {
+    await downloadSegmentsAsZip(segments, downloadZipButton);
+    return;
+  }
+
+  setLoading(true);
+  try {
+    const items = await loadSegmentTracks(segments);
+    const content = format.multiple
+      ? format.serialize(items)
+      : format.serialize(items[0].coordinates, items[0].segment.name, {
+        activityType: items[0].segment.activity_type,
+      });
+    const filename =
+      segments.length > 1
+        ? `starred-segments.${format.extension}`
+        : `segment-${segments[0].id}.${format.extension}`;
+
+    downloadFile(content, format.mimeType, filename);
   } catch (error) {
     handleError(error);
   } finally {
     setLoading(false);
+    updateSegmentsProgress();
+  }
+}
+
+// Fetch the route of each segment, reporting progress as they arrive
+async function loadSegmentTracks(segments) {
+  let loaded = 0;
+
+  return Promise.all(
+    segments.map(async (segment) => {
+      let coordinates;
+      try {
+        coordinates = await getSegmentTrack(segment.id);
+      } catch (error) {
+        // One segment without a route should not spoil a multi-segment export
+        if (segments.length > 1 && error.code === ErrorCode.MISSING_POLYLINE) {
+          console.warn(error.message);
+          return null;
+        }
+        throw error;
+      }
+
+      loaded++;
+      if (segments.length > 1) {
+        segmentsProgress.textContent = `Fetched ${loaded} of ${segments.length} routes`;
+      }
+      return { segment, coordinates };
+    })
+  ).then((items) => items.filter(Boolean));
+}
+
+// Start a ZIP export of the given segments, or cancel the one in progress
+function toggleZipExport(button, segments) {
+  if (state.bulkExport) {
+    state.bulkExport.abort();
+    return;
+  }
+  downloadSegmentsAsZip(segments, button);
+}
+
+// Download segments as one ZIP, one file per segment. The button that
+// started the export cancels it while it runs.
+async function downloadSegmentsAsZip(segments, button) {
+  if (segments.length === 0) return;
+
+  const format = EXPORT_FORMATS[exportFormatSelect.value];
+  const label = button.textContent;
+  state.bulkExport = new AbortController();
+
+  setLoading(true);
+  // Keep the button usable so the export can be cancelled
+  button.disabled = false;
+  button.textContent = "Cancel";
+
+  try {
+    const zip = await exportSegmentsAsZip(segments, format, {
+      signal: state.bulkExport.signal,
+      onProgress: (done, total) => {
+        segmentsProgress.textContent = `Exported ${done} of ${total} segments`;
+      },
+    });
+
+    downloadFile(
+      zip,
+      "application/zip",
+      `starred-segments-${format.extension}.zip`
+    );
+    updateSegmentsProgress();
+  } catch (error) {
+    if (error.name === "AbortError") {
+      segmentsProgress.textContent = "Export cancelled";
+    } else {
+      handleError(error);
+    }
+  } finally {
+    state.bulkExport = null;
+    button.textContent = label;
+    setLoading(false);
   }
 }
 
-// Handle errors
+// Create and download a file
+function downloadFile(content, mimeType, filename) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
+// Handle errors, reacting to the kind of failure
 function handleError(error) {
   console.error("Error:", error);
   state.error = error.message || "An unknown error occurred";
 
-  segmentsError.textContent = state.error;
+  switch (error.code) {
+  case ErrorCode.AUTH_REQUIRED:
+    // The stored tokens are unusable, so offer the login button again
+    state.isAuthenticated = false;
+    closeSegmentDetail();
+    updateAuthUI();
+    authStatus.textContent = "Session expired. Please log in again.";
+    return;
+  case ErrorCode.RATE_LIMITED:
+    startRetryCountdown(error.retryAfter);
+    return;
+  case ErrorCode.NETWORK_ERROR:
+    showError(
+      "You appear to be offline. Check your connection and try again."
+    );
+    return;
+  case ErrorCode.BACKEND_UNAVAILABLE:
+    showError(
+      "The Strava Plugin service is unavailable right now. Please try again later."
+    );
+    return;
+  default:
+    showError(state.error);
+  }
+}
+
+// Show an error message in the segments section
+function showError(message) {
+  segmentsError.textContent = message;
   segmentsError.style.display = "block";
 }
 
+// Count down until the rate limit resets, keeping refresh disabled until then
+function startRetryCountdown(retryAfter) {
+  clearInterval(state.retryCountdown);
+  const retryAt = Date.now() + (retryAfter || 60) * 1000;
+
+  const tick = () => {
+    const remaining = Math.ceil((retryAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(state.retryCountdown);
+      state.retryCountdown = null;
+      segmentsError.style.display = "none";
+      refreshButton.disabled = state.isLoading;
+      return;
+    }
+
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, "0");
+    showError(`Strava rate limit reached. Try again in ${minutes}:${seconds}.`);
+    refreshButton.disabled = true;
+  };
+
+  state.retryCountdown = setInterval(tick, 1000);
+  tick();
+}
+
 // Set loading state
 function setLoading(isLoading) {
   state.isLoading = isLoading;
@@ -252,13 +1180,26 @@ function setLoading(isLoading) {
   if (isLoading) {
     loginButton.disabled = true;
     logoutButton.disabled = true;
+    accountSelect.disabled = true;
+    addAccountButton.disabled = true;
     refreshButton.disabled = true;
-    downloadGpxButton.disabled = true;
+    downloadButton.disabled = true;
+    downloadZipButton.disabled = true;
+    downloadAllButton.disabled = true;
+    grantActivityButton.disabled = true;
   } else {
     loginButton.disabled = false;
     logoutButton.disabled = false;
-    refreshButton.disabled = false;
-    downloadGpxButton.disabled = !state.selectedSegmentId;
+    accountSelect.disabled = false;
+    addAccountButton.disabled = false;
+    grantActivityButton.disabled = false;
+    refreshButton.disabled = !!state.retryCountdown;
+    updateExportControls();
+
+    if (state.authSyncPending) {
+      state.authSyncPending = false;
+      state.authSync = state.authSync.then(syncAuthState);
+    }
   }
 }
 
@@ -0,0 +1,151 @@
+// src/services/bulkExport.js - Exports many segments into a single ZIP file
+import { getSegmentTrack } from "../api.js";
+import { createZip } from "./zipWriter.js";
+
+// Segments fetched at once; the API rate limiter still has the final say
+const BULK_CONCURRENCY = 4;
+
+/**
+ * Fetches the route of every segment and packages one file per segment,
+ * plus a manifest.csv, into a ZIP archive
+ * @param {Array<Object>} segments - Segments to export
+ * @param {Object} format - Export format with extension, serialize and multiple
+ * @param {Object} options - Export options
+ * @param {Function} options.onProgress - Called with (done, total) after each segment
+ * @param {AbortSignal} options.signal - Signal used to cancel the export
+ * @returns {Promise<Uint8Array>} The ZIP archive
+ * @throws {DOMException} AbortError when the export is cancelled
+ */
+async function exportSegmentsAsZip(
+  segments,
+  format,
+  { onProgress, signal } = {}
+) {
+  const results = new Array(segments.length);
+  let next = 0;
+  let done = 0;
+
+  const worker = async () => {
+    while (next < segments.length) {
+      throwIfAborted(signal);
+      const index = next++;
+      results[index] = await exportSegment(segments[index], format, signal);
+      done++;
+      if (onProgress) onProgress(done, segments.length);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(BULK_CONCURRENCY, segments.length) }, worker)
+  );
+  throwIfAborted(signal);
+
+  const usedNames = new Set();
+  const files = [];
+  const manifestRows = [
+    ["id", "name", "file", "distance_m", "average_grade", "city", "status"],
+  ];
+
+  results.forEach(({ segment, content, error }) => {
+    const filename = content
+      ? uniqueFilename(segment, format.extension, usedNames)
+      : "";
+
+    if (content) {
+      files.push({ name: filename, content });
+    }
+    manifestRows.push([
+      segment.id,
+      segment.name || "",
+      filename,
+      segment.distance ?? "",
+      segment.average_grade ?? "",
+      segment.city || "",
+      error ? `error: ${error.message}` : "ok",
+    ]);
+  });
+
+  files.push({ name: "manifest.csv", content: toCsv(manifestRows) });
+
+  return createZip(files);
+}
+
+/**
+ * Fetches and serializes a single segment; failures are recorded rather
+ * than stopping the whole export
+ * @param {Object} segment - Segment to export
+ * @param {Object} format - Export format
+ * @param {AbortSignal} signal - Signal used to cancel the export
+ * @returns {Promise<Object>} { segment, content } or { segment, error }
+ * @throws {DOMException} AbortError when the export is cancelled
+ */
+async function exportSegment(segment, format, signal) {
+  try {
+    const coordinates = await getSegmentTrack(segment.id, { signal });
+    const content = format.multiple
+      ? format.serialize([{ segment, coordinates }], segment.name)
+      : format.serialize(coordinates, segment.name, {
+        activityType: segment.activity_type,
+      });
+
+    return { segment, content };
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    console.error(`Error exporting segment ${segment.id}:`, error);
+    return { segment, error };
+  }
+}
+
+/**
+ * Builds a readable file name from the segment name, unique within the archive
+ * @param {Object} segment - Segment data
+ * @param {string} extension - File extension
+ * @param {Set<string>} usedNames - Names already in the archive (lowercased)
+ * @returns {string} File name
+ */
+function uniqueFilename(segment, extension, usedNames) {
+  const base =
+    (segment.name || "")
+      .replace(/[\\/:*?"<>|]+/g, "-")
+      .replace(/\s+/g, " ")
+      .replace(/^[\s.-]+|[\s.-]+$/g, "")
+      .slice(0, 80) || `segment-${segment.id}`;
+
+  let filename = `${base}.${extension}`;
+  for (let n = 2; usedNames.has(filename.toLowerCase()); n++) {
+    filename = `${base} (${n}).${extension}`;
+  }
+
+  usedNames.add(filename.toLowerCase());
+  return filename;
+}
+
+/**
+ * Formats rows as CSV, quoting values where needed
+ * @param {Array<Array>} rows - Rows of values
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = String(value);
+          return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+        })
+        .join(",")
+    )
+    .join("\r\n");
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Cancellation signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException("Export cancelled", "AbortError");
+  }
+}
+
+export { exportSegmentsAsZip };
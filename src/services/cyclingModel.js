@@ -0,0 +1,134 @@
+// src/services/cyclingModel.js - Power-balance model of riding a segment, for estimating the effect of the weather
+
+// Standard gravity in m/s²
+const GRAVITY = 9.80665;
+
+// Share of the rider's power that reaches the rear wheel
+const DRIVETRAIN_EFFICIENCY = 0.976;
+
+// Sea level pressure in Pa and specific gas constant of dry air in J/(kg·K)
+const SEA_LEVEL_PRESSURE = 101325;
+const AIR_GAS_CONSTANT = 287.05;
+
+// Temperature assumed when the weather has none, in °C
+const DEFAULT_TEMPERATURE = 15;
+
+// Search range and precision for the speed solver, in m/s
+const MAX_SPEED = 40;
+const SPEED_TOLERANCE = 1e-6;
+
+/**
+ * Calculates the density of dry air
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} altitude - Altitude above sea level in meters
+ * @returns {number} Air density in kg/m³
+ */
+function airDensity(temperature, altitude) {
+  // Pressure from the barometric formula of the standard atmosphere
+  const pressure =
+    SEA_LEVEL_PRESSURE * Math.pow(1 - 2.25577e-5 * altitude, 5.25588);
+
+  return pressure / (AIR_GAS_CONSTANT * (temperature + 273.15));
+}
+
+/**
+ * Calculates the power needed to hold a speed
+ * @param {number} speed - Ground speed in m/s
+ * @param {Object} conditions - Riding conditions
+ * @param {number} conditions.grade - Grade as a fraction, e.g. 0.05 for 5%
+ * @param {number} conditions.headwind - Wind against the direction of travel
+ * in m/s, negative for a tailwind
+ * @param {number} conditions.density - Air density in kg/m³
+ * @param {Object} profile - Rider profile as { mass, cda, crr }
+ * @returns {number} Rider power in watts; negative when the rider could brake
+ */
+function powerForSpeed(speed, { grade, headwind, density }, profile) {
+  const angle = Math.atan(grade);
+  const airSpeed = speed + headwind;
+
+  const rolling = profile.mass * GRAVITY * profile.crr * Math.cos(angle);
+  const gravity = profile.mass * GRAVITY * Math.sin(angle);
+  const drag = 0.5 * density * profile.cda * airSpeed * Math.abs(airSpeed);
+
+  return ((rolling + gravity + drag) * speed) / DRIVETRAIN_EFFICIENCY;
+}
+
+/**
+ * Finds the speed at which the rider's power balances the resistance. The
+ * resisting force only grows with speed, so the balance is found by bisection.
+ * @param {Object} conditions - Riding conditions, see powerForSpeed
+ * @param {Object} profile - Rider profile as { mass, cda, crr, power }
+ * @returns {number} Ground speed in m/s
+ */
+function speedForPower(conditions, profile) {
+  let low = 0;
+  let high = MAX_SPEED;
+
+  while (high - low > SPEED_TOLERANCE) {
+    const speed = (low + high) / 2;
+    if (powerForSpeed(speed, conditions, profile) < profile.power) {
+      low = speed;
+    } else {
+      high = speed;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Estimates the time to ride a course at the rider's target power, in the
+ * given weather and in still air
+ * @param {Object} course - Course to ride
+ * @param {Array<Object>} course.legs - Legs as { bearing, length } in degrees and meters
+ * @param {number} course.grade - Average grade as a fraction
+ * @param {number} course.altitude - Mean altitude in meters
+ * @param {Object} weather - Conditions as { wind, temperature } where wind is
+ * { speed, deg } in m/s and the degrees the wind comes from
+ * @param {Object} profile - Rider profile as { mass, cda, crr, power }
+ * @returns {Object|null} { time, stillAirTime, delta } in seconds, where delta
+ * is negative when the wind makes the course faster; null without legs
+ */
+function estimateCourseTime(course, { wind, temperature }, profile) {
+  if (!course.legs || course.legs.length === 0) return null;
+
+  const density = airDensity(
+    temperature != null ? temperature : DEFAULT_TEMPERATURE,
+    course.altitude || 0
+  );
+  const hasWind = wind && wind.speed > 0 && wind.deg != null;
+
+  let time = 0;
+  let stillAirTime = 0;
+  course.legs.forEach(({ bearing, length }) => {
+    // The wind comes from wind.deg, so it pushes against travel toward it
+    const headwind = hasWind
+      ? wind.speed * Math.cos(((wind.deg - bearing) * Math.PI) / 180)
+      : 0;
+    const conditions = { grade: course.grade, density };
+
+    time += length / speedForPower({ ...conditions, headwind }, profile);
+    stillAirTime +=
+      length / speedForPower({ ...conditions, headwind: 0 }, profile);
+  });
+
+  return { time, stillAirTime, delta: time - stillAirTime };
+}
+
+/**
+ * Formats a time difference in whole seconds, e.g. "-12 s"
+ * @param {number} seconds - Time difference; negative when faster
+ * @returns {string} Formatted difference with its sign
+ */
+function formatTimeDelta(seconds) {
+  const rounded = Math.round(seconds);
+  if (rounded === 0) return "±0 s";
+  return `${rounded > 0 ? "+" : "-"}${Math.abs(rounded)} s`;
+}
+
+export {
+  airDensity,
+  powerForSpeed,
+  speedForPower,
+  estimateCourseTime,
+  formatTimeDelta,
+};
@@ -0,0 +1,57 @@
+// src/services/dataRemoval.js - Disconnects every account and deletes the data the extension keeps
+import CONFIG from "../config.js";
+import { clearOAuthStates, getAccounts, logout } from "../auth.js";
+import { clearCache } from "./responseCache.js";
+import { deleteTokenKey } from "./tokenCrypto.js";
+import { storageGet, storageRemove } from "../storage.js";
+
+// Other records that hold user data, with how they are described to the user
+const USER_DATA_ITEMS = [
+  { key: CONFIG.ACCOUNTS_STORAGE_KEY, label: "account list" },
+  { key: CONFIG.LEGACY_AUTH_KEY, label: "login from an older version" },
+  { key: CONFIG.RATE_LIMIT_STORAGE_KEY, label: "Strava API usage counters" },
+  { key: CONFIG.RIDER_PROFILE_KEY, label: "rider profile" },
+];
+
+/**
+ * Logs out every account (revoking its access at Strava) and deletes
+ * everything the extension stored for the user
+ * @returns {Promise<Object>} Report as { accounts, cachedResponses, otherItems }
+ *   where accounts lists { name, revoked, revokeError } per account
+ */
+async function deleteAllUserData() {
+  const report = { accounts: [], cachedResponses: 0, otherItems: [] };
+
+  for (const { id } of await getAccounts()) {
+    const result = await logout(id);
+
+    if (result.athlete) {
+      report.accounts.push({
+        name: `${result.athlete.firstname} ${result.athlete.lastname}`,
+        revoked: result.revoked,
+        revokeError: result.revokeError,
+      });
+    }
+    report.cachedResponses += result.cachedResponses;
+  }
+
+  // Catches entries cached before responses were stored per account
+  report.cachedResponses += await clearCache();
+
+  const stored = await storageGet(USER_DATA_ITEMS.map(({ key }) => key));
+  const found = USER_DATA_ITEMS.filter(({ key }) => key in stored);
+  await storageRemove(found.map(({ key }) => key));
+  report.otherItems = found.map(({ label }) => label);
+
+  if (await clearOAuthStates()) {
+    report.otherItems.push("unfinished login");
+  }
+
+  if (await deleteTokenKey()) {
+    report.otherItems.push("token encryption key");
+  }
+
+  return report;
+}
+
+export { deleteAllUserData };
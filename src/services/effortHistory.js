@@ -0,0 +1,98 @@
+// src/services/effortHistory.js - Personal record and progression of an athlete's segment efforts
+
+/**
+ * Summarizes an athlete's efforts on a segment. The PR summary that Strava
+ * includes with starred segments also counts efforts the effort list leaves
+ * out, so the better of both is used.
+ * @param {Array<Object>} efforts - Efforts from the segment efforts API, in any order
+ * @param {Object} prEffort - athlete_pr_effort of the starred segment, if any
+ * @returns {Object} { prTime, prDate, pr, effortCount, latest, progression }
+ * where progression lists every effort oldest first as { id, activityId,
+ * date, elapsedTime, isPr, gapToPr }; isPr marks efforts faster than every
+ * earlier one. pr is the PR effort as { id, date, elapsedTime }, with a null
+ * id when it is not in the effort list, or null without any PR.
+ */
+function summarizeEfforts(efforts, prEffort) {
+  const sorted = [...efforts].sort(
+    (a, b) => new Date(a.start_date) - new Date(b.start_date)
+  );
+
+  let bestTime = Infinity;
+  let bestDate = null;
+  let bestId = null;
+  const entries = sorted.map((effort) => {
+    const isPr = effort.elapsed_time < bestTime;
+    if (isPr) {
+      bestTime = effort.elapsed_time;
+      bestDate = effort.start_date_local || effort.start_date;
+      bestId = effort.id;
+    }
+
+    return {
+      id: effort.id,
+      activityId: effort.activity ? effort.activity.id : null,
+      date: effort.start_date_local || effort.start_date,
+      elapsedTime: effort.elapsed_time,
+      isPr,
+    };
+  });
+
+  let prTime = Number.isFinite(bestTime) ? bestTime : null;
+  let prDate = bestDate;
+  let prId = bestId;
+  if (
+    prEffort &&
+    prEffort.pr_elapsed_time != null &&
+    (prTime === null || prEffort.pr_elapsed_time < prTime)
+  ) {
+    prTime = prEffort.pr_elapsed_time;
+    prDate = prEffort.pr_date || null;
+    prId = null;
+  }
+
+  const progression = entries.map((entry) => ({
+    ...entry,
+    gapToPr: entry.elapsedTime - prTime,
+  }));
+
+  return {
+    prTime,
+    prDate,
+    pr:
+      prTime === null ? null : { id: prId, date: prDate, elapsedTime: prTime },
+    effortCount: Math.max(
+      progression.length,
+      (prEffort && prEffort.effort_count) || 0
+    ),
+    latest: progression[progression.length - 1] || null,
+    progression,
+  };
+}
+
+/**
+ * Formats a duration as m:ss, or h:mm:ss from an hour on
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  const total = Math.round(Math.abs(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Formats the gap between a time and the PR, e.g. +0:14
+ * @param {number} gap - Seconds slower than the PR
+ * @returns {string} Formatted gap, or "PR" when the time equals the PR
+ */
+function formatGap(gap) {
+  if (gap === 0) return "PR";
+  return `${gap > 0 ? "+" : "-"}${formatDuration(gap)}`;
+}
+
+export { summarizeEfforts, formatDuration, formatGap };
@@ -0,0 +1,98 @@
+// src/services/effortWeather.js - Weather conditions during an athlete's past segment efforts
+import { getActiveAthleteId } from "../auth.js";
+import { MissingPolylineError } from "../errors.js";
+import {
+  getAccountCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+} from "./responseCache.js";
+import { getSegmentWithCache } from "./segmentService.js";
+import { getHistoricalWeather } from "./weatherApi.js";
+import { analyzeWeather } from "./weatherAnalysis.js";
+
+// Weather lookups run at once; each one is a request to our backend
+const WEATHER_CONCURRENCY = 4;
+
+// Past weather does not change, so it is kept until evicted. Entries are
+// per account because they reveal when the athlete rode the segment.
+const HISTORICAL_WEATHER_TTL = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Analyzes the weather during each effort on a segment, using the conditions
+ * at the segment start when the effort began
+ * @param {Array<Object>} efforts - Efforts from the segment efforts API, analyzed in this order
+ * @param {string} segmentId - ID of the segment
+ * @param {Object} options - Analysis options
+ * @param {Function} options.onResult - Called with each result as it arrives
+ * @param {AbortSignal} options.signal - Signal used to stop looking up weather
+ * @returns {Promise<Array<Object>>} { effort, analysis } or { effort, error }
+ * per effort; efforts skipped after cancelling have no entry
+ * @throws {MissingPolylineError} When the segment has no location to look up
+ */
+async function analyzeEffortsWeather(
+  efforts,
+  segmentId,
+  { onResult, signal } = {}
+) {
+  const segment = await getSegmentWithCache(segmentId);
+  if (!segment.start_latlng || segment.start_latlng.length < 2) {
+    throw new MissingPolylineError(segmentId);
+  }
+
+  const athleteId = await getActiveAthleteId();
+  const results = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < efforts.length && !(signal && signal.aborted)) {
+      const effort = efforts[next++];
+      const result = await analyzeEffortWeather(effort, segment, athleteId);
+      results.push(result);
+      if (onResult && !(signal && signal.aborted)) onResult(result);
+    }
+  };
+
+  await Promise.all(
+    Array.from(
+      { length: Math.min(WEATHER_CONCURRENCY, efforts.length) },
+      worker
+    )
+  );
+
+  return results;
+}
+
+/**
+ * Analyzes the weather during a single effort; failures are recorded rather
+ * than stopping the other lookups
+ * @param {Object} effort - Segment effort
+ * @param {Object} segment - Segment details with start_latlng and direction
+ * @param {number} athleteId - Athlete id of the account, for the cache key
+ * @returns {Promise<Object>} { effort, analysis } or { effort, error }
+ */
+async function analyzeEffortWeather(effort, segment, athleteId) {
+  try {
+    const [lat, lng] = segment.start_latlng;
+    const timestamp = Math.floor(new Date(effort.start_date).getTime() / 1000);
+    const cacheKey = getAccountCacheKey(
+      athleteId,
+      `weather:${lat.toFixed(3)},${lng.toFixed(3)}:${timestamp}`
+    );
+
+    const cached = await getCachedResponse(cacheKey);
+    let weather = cached && cached.value;
+    if (!weather) {
+      weather = await getHistoricalWeather(lat, lng, timestamp);
+      await setCachedResponse(cacheKey, weather, HISTORICAL_WEATHER_TTL).catch(
+        (error) => console.error(`Error caching ${cacheKey}:`, error)
+      );
+    }
+
+    return { effort, analysis: analyzeWeather(weather, segment) };
+  } catch (error) {
+    console.error(`Error getting weather for effort ${effort.id}:`, error);
+    return { effort, error };
+  }
+}
+
+export { analyzeEffortsWeather };
@@ -0,0 +1,425 @@
+// src/services/fitEncoder.js - Encodes course files in Garmin's binary FIT format
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600;
+
+// Positions are stored as 32-bit "semicircles"
+const SEMICIRCLES_PER_DEGREE = 2 ** 31 / 180;
+
+// File header values
+const HEADER_SIZE = 14;
+const PROTOCOL_VERSION = 0x10; // 1.0
+const PROFILE_VERSION = 2132; // 21.32
+
+// Enum values used in course files
+const FILE_TYPE_COURSE = 6;
+const MANUFACTURER_DEVELOPMENT = 255;
+const EVENT_TIMER = 0;
+const EVENT_TYPE_START = 0;
+const EVENT_TYPE_STOP_ALL = 4;
+const COURSE_POINT_GENERIC = 0;
+
+/**
+ * FIT sports supported for courses
+ * @enum {number}
+ */
+const FitSport = {
+  GENERIC: 0,
+  RUNNING: 1,
+  CYCLING: 2,
+};
+
+/**
+ * FIT base types with their size and invalid value
+ */
+const BaseType = {
+  ENUM: { id: 0x00, size: 1, invalid: 0xff },
+  UINT8: { id: 0x02, size: 1, invalid: 0xff },
+  UINT16: { id: 0x84, size: 2, invalid: 0xffff },
+  SINT32: { id: 0x85, size: 4, invalid: 0x7fffffff },
+  UINT32: { id: 0x86, size: 4, invalid: 0xffffffff },
+  STRING: { id: 0x07, size: 1, invalid: 0x00 },
+};
+
+/**
+ * Layout of every message written to a course file. Each field is
+ * [name, field number, base type, size in bytes (strings only)].
+ */
+const Messages = {
+  FILE_ID: {
+    localType: 0,
+    globalNumber: 0,
+    fields: [
+      ["type", 0, BaseType.ENUM],
+      ["manufacturer", 1, BaseType.UINT16],
+      ["product", 2, BaseType.UINT16],
+      ["timeCreated", 4, BaseType.UINT32],
+    ],
+  },
+  COURSE: {
+    localType: 1,
+    globalNumber: 31,
+    fields: [
+      ["name", 5, BaseType.STRING, 32],
+      ["sport", 4, BaseType.ENUM],
+    ],
+  },
+  LAP: {
+    localType: 2,
+    globalNumber: 19,
+    fields: [
+      ["timestamp", 253, BaseType.UINT32],
+      ["startTime", 2, BaseType.UINT32],
+      ["startLat", 3, BaseType.SINT32],
+      ["startLng", 4, BaseType.SINT32],
+      ["endLat", 5, BaseType.SINT32],
+      ["endLng", 6, BaseType.SINT32],
+      ["totalElapsedTime", 7, BaseType.UINT32],
+      ["totalTimerTime", 8, BaseType.UINT32],
+      ["totalDistance", 9, BaseType.UINT32],
+      ["totalAscent", 21, BaseType.UINT16],
+      ["totalDescent", 22, BaseType.UINT16],
+    ],
+  },
+  EVENT: {
+    localType: 3,
+    globalNumber: 21,
+    fields: [
+      ["timestamp", 253, BaseType.UINT32],
+      ["event", 0, BaseType.ENUM],
+      ["eventType", 1, BaseType.ENUM],
+      ["eventGroup", 4, BaseType.UINT8],
+    ],
+  },
+  RECORD: {
+    localType: 4,
+    globalNumber: 20,
+    fields: [
+      ["timestamp", 253, BaseType.UINT32],
+      ["lat", 0, BaseType.SINT32],
+      ["lng", 1, BaseType.SINT32],
+      ["altitude", 2, BaseType.UINT16],
+      ["distance", 5, BaseType.UINT32],
+    ],
+  },
+  COURSE_POINT: {
+    localType: 5,
+    globalNumber: 32,
+    fields: [
+      ["timestamp", 1, BaseType.UINT32],
+      ["lat", 2, BaseType.SINT32],
+      ["lng", 3, BaseType.SINT32],
+      ["distance", 4, BaseType.UINT32],
+      ["type", 5, BaseType.ENUM],
+      ["name", 6, BaseType.STRING, 16],
+    ],
+  },
+};
+
+// Nibble lookup table for the FIT CRC (CRC-16/ARC)
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401, 0xa001,
+  0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+/**
+ * Encodes a course as a FIT file
+ * @param {Array} points - Array of [lat, lng, elevation, distance] points;
+ * distance is required, elevation may be null
+ * @param {Object} options - Course options
+ * @param {string} options.name - Course name
+ * @param {Date} options.startTime - Time of the first point
+ * @param {number} options.speed - Assumed speed in meters per second, used for point times
+ * @param {FitSport} options.sport - Sport of the course
+ * @returns {Uint8Array} The FIT file
+ */
+function encodeFitCourse(
+  points,
+  {
+    name = "Strava Segment",
+    startTime = new Date(),
+    speed,
+    sport = FitSport.CYCLING,
+  }
+) {
+  const bytes = [];
+  const defined = new Set();
+  const write = (message, values) => {
+    if (!defined.has(message)) {
+      writeDefinition(bytes, message);
+      defined.add(message);
+    }
+    writeData(bytes, message, values);
+  };
+
+  const start = toFitTime(startTime);
+  const timeAt = (distance) => start + Math.round(distance / speed);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const totalDistance = last ? last[3] : 0;
+  const end = timeAt(totalDistance);
+  const { ascent, descent } = elevationChange(points);
+
+  write(Messages.FILE_ID, {
+    type: FILE_TYPE_COURSE,
+    manufacturer: MANUFACTURER_DEVELOPMENT,
+    product: 0,
+    timeCreated: start,
+  });
+  write(Messages.COURSE, { name, sport });
+  write(Messages.LAP, {
+    timestamp: end,
+    startTime: start,
+    startLat: first && toSemicircles(first[0]),
+    startLng: first && toSemicircles(first[1]),
+    endLat: last && toSemicircles(last[0]),
+    endLng: last && toSemicircles(last[1]),
+    totalElapsedTime: (end - start) * 1000,
+    totalTimerTime: (end - start) * 1000,
+    totalDistance: Math.round(totalDistance * 100),
+    totalAscent: ascent,
+    totalDescent: descent,
+  });
+  write(Messages.EVENT, {
+    timestamp: start,
+    event: EVENT_TIMER,
+    eventType: EVENT_TYPE_START,
+    eventGroup: 0,
+  });
+
+  points.forEach(([lat, lng, elevation, distance]) => {
+    write(Messages.RECORD, {
+      timestamp: timeAt(distance),
+      lat: toSemicircles(lat),
+      lng: toSemicircles(lng),
+      altitude:
+        typeof elevation === "number"
+          ? Math.round((elevation + 500) * 5)
+          : undefined,
+      distance: Math.round(distance * 100),
+    });
+  });
+
+  if (first) {
+    [
+      ["Start", first],
+      ["Finish", last],
+    ].forEach(([pointName, [lat, lng, , distance]]) => {
+      write(Messages.COURSE_POINT, {
+        timestamp: timeAt(distance),
+        lat: toSemicircles(lat),
+        lng: toSemicircles(lng),
+        distance: Math.round(distance * 100),
+        type: COURSE_POINT_GENERIC,
+        name: pointName,
+      });
+    });
+  }
+
+  write(Messages.EVENT, {
+    timestamp: end,
+    event: EVENT_TIMER,
+    eventType: EVENT_TYPE_STOP_ALL,
+    eventGroup: 0,
+  });
+
+  return assembleFile(bytes);
+}
+
+/**
+ * Adds the file header and trailing CRC around the record bytes
+ * @param {Array<number>} records - Encoded definition and data messages
+ * @returns {Uint8Array} The complete file
+ */
+function assembleFile(records) {
+  const file = new Uint8Array(HEADER_SIZE + records.length + 2);
+  const view = new DataView(file.buffer);
+
+  view.setUint8(0, HEADER_SIZE);
+  view.setUint8(1, PROTOCOL_VERSION);
+  view.setUint16(2, PROFILE_VERSION, true);
+  view.setUint32(4, records.length, true);
+  file.set([0x2e, 0x46, 0x49, 0x54], 8); // ".FIT"
+  view.setUint16(12, fitCrc(file.subarray(0, 12)), true);
+
+  file.set(records, HEADER_SIZE);
+  view.setUint16(
+    HEADER_SIZE + records.length,
+    fitCrc(file.subarray(0, HEADER_SIZE + records.length)),
+    true
+  );
+
+  return file;
+}
+
+/**
+ * Writes a definition message describing a local message type
+ * @param {Array<number>} bytes - Output bytes
+ * @param {Object} message - Message layout
+ */
+function writeDefinition(bytes, message) {
+  bytes.push(
+    0x40 | message.localType, // definition message header
+    0, // reserved
+    0, // little endian
+    message.globalNumber & 0xff,
+    message.globalNumber >> 8,
+    message.fields.length
+  );
+
+  message.fields.forEach(([, number, type, size]) => {
+    bytes.push(number, size || type.size, type.id);
+  });
+}
+
+/**
+ * Writes a data message; missing values are written as the invalid value
+ * @param {Array<number>} bytes - Output bytes
+ * @param {Object} message - Message layout
+ * @param {Object} values - Field values keyed by field name
+ */
+function writeData(bytes, message, values) {
+  bytes.push(message.localType);
+
+  message.fields.forEach(([name, , type, size]) => {
+    const value = values[name];
+
+    if (type === BaseType.STRING) {
+      bytes.push(...encodeString(value || "", size));
+      return;
+    }
+
+    const field = new DataView(new ArrayBuffer(type.size));
+    const fieldValue = value === undefined ? type.invalid : value;
+
+    if (type === BaseType.SINT32) {
+      field.setInt32(0, fieldValue, true);
+    } else if (type.size === 4) {
+      field.setUint32(0, fieldValue, true);
+    } else if (type.size === 2) {
+      field.setUint16(0, fieldValue, true);
+    } else {
+      field.setUint8(0, fieldValue);
+    }
+
+    bytes.push(...new Uint8Array(field.buffer));
+  });
+}
+
+/**
+ * Encodes a string as null-terminated UTF-8 padded to a fixed size,
+ * dropping whole characters that do not fit
+ * @param {string} text - Text to encode
+ * @param {number} size - Field size in bytes, including the terminator
+ * @returns {Array<number>} Encoded bytes
+ */
+function encodeString(text, size) {
+  const bytes = [];
+
+  for (const char of text) {
+    const encoded = encodeUtf8CodePoint(char.codePointAt(0));
+    if (bytes.length + encoded.length > size - 1) break;
+    bytes.push(...encoded);
+  }
+
+  while (bytes.length < size) {
+    bytes.push(0);
+  }
+  return bytes;
+}
+
+/**
+ * Encodes a single Unicode code point as UTF-8
+ * @param {number} code - Code point
+ * @returns {Array<number>} UTF-8 bytes
+ */
+function encodeUtf8CodePoint(code) {
+  if (code < 0x80) {
+    return [code];
+  }
+  if (code < 0x800) {
+    return [0xc0 | (code >> 6), 0x80 | (code & 0x3f)];
+  }
+  if (code < 0x10000) {
+    return [
+      0xe0 | (code >> 12),
+      0x80 | ((code >> 6) & 0x3f),
+      0x80 | (code & 0x3f),
+    ];
+  }
+  return [
+    0xf0 | (code >> 18),
+    0x80 | ((code >> 12) & 0x3f),
+    0x80 | ((code >> 6) & 0x3f),
+    0x80 | (code & 0x3f),
+  ];
+}
+
+/**
+ * Total climbing and descending along the points, in whole meters
+ * @param {Array} points - Array of [lat, lng, elevation, distance] points
+ * @returns {Object} Ascent and descent, undefined when elevation is unknown
+ */
+function elevationChange(points) {
+  const elevations = points
+    .map(([, , elevation]) => elevation)
+    .filter((elevation) => typeof elevation === "number");
+
+  if (elevations.length < 2) {
+    return { ascent: undefined, descent: undefined };
+  }
+
+  let ascent = 0;
+  let descent = 0;
+  for (let i = 1; i < elevations.length; i++) {
+    const change = elevations[i] - elevations[i - 1];
+    if (change > 0) {
+      ascent += change;
+    } else {
+      descent -= change;
+    }
+  }
+
+  return { ascent: Math.round(ascent), descent: Math.round(descent) };
+}
+
+/**
+ * Converts degrees to FIT semicircles
+ * @param {number} degrees - Latitude or longitude in degrees
+ * @returns {number} Position in semicircles
+ */
+function toSemicircles(degrees) {
+  return Math.round(degrees * SEMICIRCLES_PER_DEGREE);
+}
+
+/**
+ * Converts a date to a FIT timestamp
+ * @param {Date} date - Date to convert
+ * @returns {number} Seconds since the FIT epoch
+ */
+function toFitTime(date) {
+  return Math.floor(date.getTime() / 1000) - FIT_EPOCH_OFFSET;
+}
+
+/**
+ * Computes the FIT CRC of some bytes
+ * @param {Uint8Array|Array<number>} bytes - Bytes to checksum
+ * @returns {number} 16-bit CRC
+ */
+function fitCrc(bytes) {
+  let crc = 0;
+
+  for (const byte of bytes) {
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf];
+
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+
+  return crc;
+}
+
+export { encodeFitCourse, fitCrc, FitSport };
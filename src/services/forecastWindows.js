@@ -0,0 +1,96 @@
+// src/services/forecastWindows.js - Ranks the coming hours by how much the weather helps on a segment
+import { analyzeWeather } from "./weatherAnalysis.js";
+import { DEFAULT_RIDER_PROFILE } from "./riderProfile.js";
+
+// OpenWeather forecasts this many hours ahead
+const FORECAST_HOURS = 48;
+
+// Windows returned, best first
+const MAX_WINDOWS = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Scores each hour of the forecast for a segment and groups consecutive hours
+ * with the same assistance level into attempt windows
+ * @param {Object} weather - Weather data with hourly forecast entries
+ * @param {Object} segment - Segment data
+ * @param {Object} options - Planning options
+ * @param {number} options.hours - Hours of the forecast to consider
+ * @param {number} options.maxWindows - Most windows to return
+ * @param {Object} options.profile - Rider profile for the time estimates
+ * @returns {Array<Object>} Windows as { start, end, hours, level, score,
+ * windEffect, message, timeDelta }, best first. start and end are in
+ * milliseconds since the epoch, score is the mean over the window and
+ * windEffect, message and timeDelta (seconds against still air, or null)
+ * describe its best hour.
+ */
+function planAttemptWindows(
+  weather,
+  segment,
+  {
+    hours = FORECAST_HOURS,
+    maxWindows = MAX_WINDOWS,
+    profile = DEFAULT_RIDER_PROFILE,
+  } = {}
+) {
+  const hourly = (weather && weather.hourly) || [];
+
+  const windows = [];
+  let run = null;
+  hourly.slice(0, hours).forEach((hour) => {
+    // The scoring model reads the conditions from current
+    const analysis = analyzeWeather(
+      { ...weather, current: hour },
+      segment,
+      profile
+    );
+    const start = hour.dt * 1000;
+
+    if (!run || run.level !== analysis.level || run.end !== start) {
+      run = { start, level: analysis.level, analyses: [] };
+      windows.push(run);
+    }
+    run.end = start + HOUR_MS;
+    run.analyses.push(analysis);
+  });
+
+  return windows
+    .map(({ start, end, level, analyses }) => {
+      const best = analyses.reduce((a, b) => (b.score > a.score ? b : a));
+      return {
+        start,
+        end,
+        hours: analyses.length,
+        level,
+        score:
+          analyses.reduce((sum, analysis) => sum + analysis.score, 0) /
+          analyses.length,
+        windEffect: best.windEffect,
+        message: best.message,
+        timeDelta: best.timeEstimate ? best.timeEstimate.delta : null,
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.start - b.start)
+    .slice(0, maxWindows);
+}
+
+/**
+ * Formats when a window is, e.g. "Sat 14:00–17:00", in local time
+ * @param {Object} window - Window from planAttemptWindows
+ * @returns {string} Formatted time span
+ */
+function formatWindowTime({ start, end }) {
+  const day = new Date(start).toLocaleDateString(undefined, {
+    weekday: "short",
+  });
+  const time = (value) =>
+    new Date(value).toLocaleTimeString(undefined, {
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  return `${day} ${time(start)}–${time(end)}`;
+}
+
+export { planAttemptWindows, formatWindowTime };
@@ -0,0 +1,301 @@
+// src/services/rateLimiter.js - Tracks Strava rate limits and schedules API requests
+import CONFIG from "../config.js";
+import { RateLimitError } from "../errors.js";
+
+// Strava's short-term limit resets every 15 minutes on the quarter hour (UTC)
+const WINDOW_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Defaults used until Strava tells us the real limits
+const DEFAULT_SHORT_TERM_LIMIT = 200;
+const DEFAULT_DAILY_LIMIT = 2000;
+
+// Stop starting new requests once this share of a limit has been used
+const THROTTLE_THRESHOLD = 0.9;
+
+// Maximum number of requests in flight at once
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// Retry settings for 429 responses
+const MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 1000;
+
+// Current usage as last reported by Strava (plus requests we have since sent)
+const usage = {
+  shortTerm: { usage: 0, limit: DEFAULT_SHORT_TERM_LIMIT },
+  daily: { usage: 0, limit: DEFAULT_DAILY_LIMIT },
+  updatedAt: 0,
+};
+
+const queue = [];
+let activeRequests = 0;
+let usageLoaded = null;
+
+/**
+ * Queues a request so that it respects concurrency and rate limits.
+ * 429 responses are retried once the rate limit window has reset.
+ * @param {Function} sendRequest - Function that performs the fetch and returns a Response
+ * @param {Object} options - Scheduling options
+ * @param {AbortSignal} options.signal - Signal that cancels the request while
+ * it is queued or waiting for the rate limit
+ * @returns {Promise<Response>} The final response
+ * @throws {DOMException} AbortError when the signal aborts before the response
+ */
+function scheduleRequest(sendRequest, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const task = { sendRequest, signal, resolve, reject };
+    queue.push(task);
+
+    if (signal) {
+      // Started tasks notice the abort in their own waits
+      signal.addEventListener(
+        "abort",
+        () => {
+          const position = queue.indexOf(task);
+          if (position !== -1) {
+            queue.splice(position, 1);
+            reject(createAbortError());
+          }
+        },
+        { once: true }
+      );
+    }
+
+    drainQueue();
+  });
+}
+
+/**
+ * Starts queued requests while there is spare concurrency
+ */
+function drainQueue() {
+  while (activeRequests < MAX_CONCURRENT_REQUESTS && queue.length > 0) {
+    const task = queue.shift();
+    activeRequests++;
+
+    runTask(task)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        activeRequests--;
+        drainQueue();
+      });
+  }
+}
+
+/**
+ * Runs a single queued request, retrying when Strava answers 429
+ * @param {Object} task - Queued task
+ * @returns {Promise<Response>} The response
+ */
+async function runTask(task) {
+  await loadUsage();
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForCapacity(task.signal);
+
+    usage.shortTerm.usage++;
+    usage.daily.usage++;
+
+    const response = await task.sendRequest();
+    recordRateLimit(response.headers);
+
+    if (response.status !== 429 || attempt >= MAX_RETRIES) {
+      return response;
+    }
+
+    // Treat the window as used up so other queued requests hold off too
+    usage.shortTerm.usage = Math.max(
+      usage.shortTerm.usage,
+      usage.shortTerm.limit
+    );
+    const backoff = Math.max(
+      msUntilWindowReset(),
+      BASE_BACKOFF_MS * 2 ** attempt
+    );
+    console.warn(`Strava rate limit hit, retrying in ${backoff}ms`);
+    await delay(backoff, task.signal);
+  }
+}
+
+/**
+ * Waits until there is room under both rate limits
+ * @param {AbortSignal} signal - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+async function waitForCapacity(signal) {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+  resetExpiredWindows();
+
+  if (isNearLimit(usage.daily)) {
+    const now = Date.now();
+    throw new RateLimitError(
+      "Daily Strava API limit reached. Please try again tomorrow.",
+      { retryAfter: Math.ceil((DAY_MS - (now % DAY_MS)) / 1000) }
+    );
+  }
+
+  while (isNearLimit(usage.shortTerm)) {
+    await delay(msUntilWindowReset(), signal);
+    resetExpiredWindows();
+  }
+}
+
+/**
+ * Checks whether a usage record is close to its limit
+ * @param {Object} record - Usage record with usage and limit
+ * @returns {boolean} True if requests should be held back
+ */
+function isNearLimit(record) {
+  return record.usage >= record.limit * THROTTLE_THRESHOLD;
+}
+
+/**
+ * Updates usage from Strava's rate limit response headers
+ * @param {Headers} headers - Response headers
+ */
+function recordRateLimit(headers) {
+  const limits = parseHeaderPair(headers?.get("X-RateLimit-Limit"));
+  const used = parseHeaderPair(headers?.get("X-RateLimit-Usage"));
+
+  if (!limits || !used) return;
+
+  usage.shortTerm = { limit: limits[0], usage: used[0] };
+  usage.daily = { limit: limits[1], usage: used[1] };
+  usage.updatedAt = Date.now();
+
+  saveUsage();
+}
+
+/**
+ * Parses a "15-minute,daily" header value
+ * @param {string|null} value - Header value
+ * @returns {Array<number>|null} The two numbers, or null if missing
+ */
+function parseHeaderPair(value) {
+  if (!value) return null;
+
+  const numbers = value.split(",").map((part) => parseInt(part, 10));
+  if (numbers.length < 2 || numbers.some(Number.isNaN)) return null;
+
+  return numbers;
+}
+
+/**
+ * Clears usage counts whose window has passed since the last update
+ */
+function resetExpiredWindows() {
+  const now = Date.now();
+
+  if (Math.floor(now / WINDOW_MS) !== Math.floor(usage.updatedAt / WINDOW_MS)) {
+    usage.shortTerm.usage = 0;
+  }
+  if (Math.floor(now / DAY_MS) !== Math.floor(usage.updatedAt / DAY_MS)) {
+    usage.daily.usage = 0;
+  }
+  usage.updatedAt = now;
+}
+
+/**
+ * Milliseconds until the current 15-minute window resets
+ * @returns {number} Delay in milliseconds
+ */
+function msUntilWindowReset() {
+  return WINDOW_MS - (Date.now() % WINDOW_MS);
+}
+
+/**
+ * Gets the current rate limit usage
+ * @returns {Promise<Object>} Short-term and daily usage with limits and reset times
+ */
+async function getRateLimitUsage() {
+  await loadUsage();
+  resetExpiredWindows();
+
+  const now = Date.now();
+  return {
+    shortTerm: {
+      ...usage.shortTerm,
+      resetsAt: now + msUntilWindowReset(),
+    },
+    daily: {
+      ...usage.daily,
+      resetsAt: now + DAY_MS - (now % DAY_MS),
+    },
+  };
+}
+
+/**
+ * Loads usage saved by other extension pages, once per context
+ * @returns {Promise<void>}
+ */
+function loadUsage() {
+  if (!usageLoaded) {
+    usageLoaded = new Promise((resolve) => {
+      chrome.storage.local.get([CONFIG.RATE_LIMIT_STORAGE_KEY], (result) => {
+        const saved = result?.[CONFIG.RATE_LIMIT_STORAGE_KEY];
+        if (!chrome.runtime.lastError && saved && saved.updatedAt) {
+          usage.shortTerm = saved.shortTerm;
+          usage.daily = saved.daily;
+          usage.updatedAt = saved.updatedAt;
+        }
+        resolve();
+      });
+    });
+  }
+  return usageLoaded;
+}
+
+/**
+ * Saves usage so the popup and content scripts share what Strava reported
+ */
+function saveUsage() {
+  chrome.storage.local.set({ [CONFIG.RATE_LIMIT_STORAGE_KEY]: usage }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving rate limit usage:", chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Resolves after the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal that cancels the delay
+ * @returns {Promise<void>}
+ * @throws {DOMException} AbortError when the signal aborts first
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", handleAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener("abort", handleAbort, { once: true });
+  });
+}
+
+/**
+ * Creates the error a cancelled request rejects with, like fetch does
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+  return new DOMException("Request cancelled", "AbortError");
+}
+
+export { scheduleRequest, getRateLimitUsage, msUntilWindowReset };
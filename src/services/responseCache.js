@@ -0,0 +1,240 @@
+// src/services/responseCache.js - Persistent TTL cache for Strava API responses
+import CONFIG from "../config.js";
+import { storageGet, storageSet, storageRemove } from "../storage.js";
+
+// Prefix for cache entries in chrome.storage.local
+const ENTRY_PREFIX = "strava_cache:";
+
+// Limits before least recently used entries are evicted
+const MAX_ENTRIES = 2000;
+const MAX_BYTES = 5 * 1024 * 1024;
+
+// How long to wait before writing access times back to storage
+const INDEX_SAVE_DELAY_MS = 500;
+// In-memory copy of the index: key -> { size, lastAccess }, size in UTF-8 bytes
+// In-memory copy of the index: key -> { size, lastAccess }
+let index = null;
+let indexLoaded = null;
+let indexSaveTimer = null;
+
+// Keys this page removed since it last saved the index, with when, so that
+// merging in the stored index does not bring them back
+const removedKeys = new Map();
+
+/**
+ * Gets a cached response
+ * @param {string} key - Cache key (usually the API endpoint)
+ * @returns {Promise<Object|null>} The cached value and whether it is stale, or null on a miss
+ */
+async function getCachedResponse(key) {
+  await loadIndex();
+
+  if (!index[key]) {
+    return null;
+  }
+
+  const storageKey = ENTRY_PREFIX + key;
+  const result = await storageGet([storageKey]);
+  const entry = result[storageKey];
+
+  if (!entry) {
+    // Another extension page evicted or cleared it
+    forgetKey(key);
+    scheduleIndexSave();
+    return null;
+  }
+
+  index[key].lastAccess = Date.now();
+  scheduleIndexSave();
+
+  return {
+    value: entry.value,
+    isStale: Date.now() >= entry.expiresAt,
+  };
+}
+
+/**
+ * Stores a response in the cache, evicting old entries if needed
+ * @param {string} key - Cache key (usually the API endpoint)
+ * @param {any} value - JSON-serializable value to store
+ * @param {number} ttl - Time in milliseconds before the entry becomes stale
+ * @returns {Promise<void>}
+ */
+async function setCachedResponse(key, value, ttl) {
+  await loadIndex();
+
+  const now = Date.now();
+  const size = new TextEncoder().encode(JSON.stringify(value)).length;
+
+  await storageSet({
+    [ENTRY_PREFIX + key]: { value, storedAt: now, expiresAt: now + ttl },
+  });
+
+  index[key] = { size, lastAccess: now };
+  removedKeys.delete(key);
+
+  // Count the entries other extension pages stored against the limits too
+  await mergeStoredIndex();
+  await evictLeastRecentlyUsed();
+  scheduleIndexSave();
+}
+
+/**
+ * Removes least recently used entries until the cache is within its limits
+ * @returns {Promise<void>}
+ */
+async function evictLeastRecentlyUsed() {
+  const keys = Object.keys(index);
+  let totalBytes = keys.reduce((sum, key) => sum + index[key].size, 0);
+  let count = keys.length;
+
+  if (count <= MAX_ENTRIES && totalBytes <= MAX_BYTES) {
+    return;
+  }
+
+  const evicted = [];
+  keys.sort((a, b) => index[a].lastAccess - index[b].lastAccess);
+
+  for (const key of keys) {
+    if (count <= MAX_ENTRIES && totalBytes <= MAX_BYTES) break;
+
+    totalBytes -= index[key].size;
+    count--;
+    evicted.push(key);
+    forgetKey(key);
+  }
+
+  await storageRemove(evicted.map((key) => ENTRY_PREFIX + key));
+}
+
+/**
+ * Removes cached responses
+ * @param {string} keyPrefix - Only remove entries whose key starts with this prefix
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function clearCache(keyPrefix = "") {
+  await loadIndex();
+
+  const everything = await storageGet(null);
+  const cacheKeys = Object.keys(everything).filter((key) =>
+    key.startsWith(ENTRY_PREFIX + keyPrefix)
+  );
+
+  if (!keyPrefix) {
+    clearTimeout(indexSaveTimer);
+    index = {};
+    removedKeys.clear();
+    await storageRemove([...cacheKeys, CONFIG.CACHE_INDEX_KEY]);
+    return cacheKeys.length;
+  }
+
+  cacheKeys.forEach((key) => forgetKey(key.slice(ENTRY_PREFIX.length)));
+  await storageRemove(cacheKeys);
+  scheduleIndexSave();
+
+  return cacheKeys.length;
+}
+
+/**
+ * Builds the cache key of a response for an account, so that accounts
+ * never see each other's data
+ * @param {number} athleteId - Athlete id of the account
+ * @param {string} key - Cache key within the account (usually the API endpoint)
+ * @returns {string} Cache key
+ */
+function getAccountCacheKey(athleteId, key) {
+  return `athlete:${athleteId}:${key}`;
+}
+
+/**
+ * Removes every cached response of an account
+ * @param {number} athleteId - Athlete id of the account
+ * @returns {Promise<number>} Number of entries removed
+ */
+function clearAccountCache(athleteId) {
+  return clearCache(getAccountCacheKey(athleteId, ""));
+}
+
+/**
+ * Loads the cache index once per extension page
+ * @returns {Promise<void>}
+ */
+function loadIndex() {
+  if (!indexLoaded) {
+    indexLoaded = storageGet([CONFIG.CACHE_INDEX_KEY])
+      .then((result) => {
+        index = result[CONFIG.CACHE_INDEX_KEY] || {};
+      })
+      .catch((error) => {
+        console.error("Error loading cache index:", error);
+        index = {};
+      });
+  }
+  return indexLoaded;
+}
+
+/**
+ * Removes a key from the in-memory index and remembers that it was removed
+ * @param {string} key - Cache key
+ */
+function forgetKey(key) {
+  delete index[key];
+  removedKeys.set(key, Date.now());
+}
+
+/**
+ * Merges the index stored by other extension pages into the in-memory copy.
+ * Each page keeps its own copy, so without this they would overwrite each
+ * other's entries, which then could never be evicted.
+ * @returns {Promise<void>}
+ */
+async function mergeStoredIndex() {
+  const result = await storageGet([CONFIG.CACHE_INDEX_KEY]);
+  const stored = result[CONFIG.CACHE_INDEX_KEY] || {};
+
+  Object.entries(stored).forEach(([key, record]) => {
+    // Entries stored again after this page removed them are kept
+    const removedAt = removedKeys.get(key);
+    if (removedAt !== undefined && record.lastAccess <= removedAt) return;
+
+    if (!index[key] || index[key].lastAccess < record.lastAccess) {
+      index[key] = record;
+    }
+  });
+}
+
+/**
+ * Writes the index, merged with the stored one, back to storage
+ * @returns {Promise<void>}
+ */
+async function saveIndex() {
+  const savedAt = Date.now();
+  await mergeStoredIndex();
+  await storageSet({ [CONFIG.CACHE_INDEX_KEY]: index });
+
+  // Removals made while saving still have to hold against the stored index
+  removedKeys.forEach((removedAt, key) => {
+    if (removedAt < savedAt) removedKeys.delete(key);
+  });
+}
+
+/**
+ * Writes the index back to storage after a short delay, so that a burst
+ * of cache reads only costs a single write
+ */
+function scheduleIndexSave() {
+  clearTimeout(indexSaveTimer);
+  indexSaveTimer = setTimeout(() => {
+    saveIndex().catch((error) => {
+      console.error("Error saving cache index:", error);
+    });
+  }, INDEX_SAVE_DELAY_MS);
+}
+
+export {
+  getCachedResponse,
+  setCachedResponse,
+  clearCache,
+  getAccountCacheKey,
+  clearAccountCache,
+};
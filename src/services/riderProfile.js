@@ -0,0 +1,91 @@
+// src/services/riderProfile.js - The rider's mass, aerodynamics and power used to estimate segment times
+import CONFIG from "../config.js";
+import { storageGet, storageSet } from "../storage.js";
+
+/**
+ * Rider profile used until the user sets their own
+ * mass: rider and bike in kg, cda: drag area in m², crr: rolling resistance
+ * coefficient, power: target power in watts
+ */
+const DEFAULT_RIDER_PROFILE = {
+  mass: 80,
+  cda: 0.32,
+  crr: 0.005,
+  power: 200,
+};
+
+// Accepted range of each profile field; values outside it are replaced by
+// the default, since the model gives nonsense for them
+const PROFILE_LIMITS = {
+  mass: { min: 30, max: 200 },
+  cda: { min: 0.1, max: 1 },
+  crr: { min: 0.001, max: 0.05 },
+  power: { min: 20, max: 2000 },
+};
+
+/**
+ * Fills in missing or out of range profile fields with the defaults
+ * @param {Object} profile - Profile fields, possibly incomplete
+ * @returns {Object} A complete rider profile
+ */
+function normalizeRiderProfile(profile) {
+  return Object.fromEntries(
+    Object.entries(PROFILE_LIMITS).map(([field, { min, max }]) => {
+      const value = Number(profile ? profile[field] : undefined);
+      const isValid = Number.isFinite(value) && value >= min && value <= max;
+      return [field, isValid ? value : DEFAULT_RIDER_PROFILE[field]];
+    })
+  );
+}
+
+/**
+ * Gets the rider profile, or the defaults when none was saved
+ * @returns {Promise<Object>} Rider profile as { mass, cda, crr, power }
+ */
+async function getRiderProfile() {
+  try {
+    const result = await storageGet([CONFIG.RIDER_PROFILE_KEY]);
+    return normalizeRiderProfile(result[CONFIG.RIDER_PROFILE_KEY]);
+  } catch (error) {
+    console.error("Error reading rider profile:", error);
+    return { ...DEFAULT_RIDER_PROFILE };
+  }
+}
+
+/**
+ * Saves the rider profile
+ * @param {Object} profile - Profile fields; invalid ones are saved as the defaults
+ * @returns {Promise<Object>} The profile as saved
+ */
+async function saveRiderProfile(profile) {
+  const normalized = normalizeRiderProfile(profile);
+  await storageSet({ [CONFIG.RIDER_PROFILE_KEY]: normalized });
+  return normalized;
+}
+
+/**
+ * Calls the listener whenever the rider profile is saved or removed, in any
+ * part of the extension
+ * @param {Function} listener - Called with the new rider profile
+ * @returns {Function} Stops listening
+ */
+function onRiderProfileChange(listener) {
+  const handleChange = (changes, areaName) => {
+    const change = changes[CONFIG.RIDER_PROFILE_KEY];
+    if (areaName === "local" && change) {
+      listener(normalizeRiderProfile(change.newValue));
+    }
+  };
+
+  chrome.storage.onChanged.addListener(handleChange);
+  return () => chrome.storage.onChanged.removeListener(handleChange);
+}
+
+export {
+  DEFAULT_RIDER_PROFILE,
+  PROFILE_LIMITS,
+  normalizeRiderProfile,
+  getRiderProfile,
+  saveRiderProfile,
+  onRiderProfileChange,
+};
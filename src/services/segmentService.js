@@ -1,20 +1,15 @@
 // src/services/segmentService.js
-import { getSegmentDetails, decodePolyline } from "../api.js";
-
-// Cache for segment details to avoid repeated API calls
-const segmentCache = new Map();
+import { getSegmentDetails } from "../api.js";
+import { decodePolyline, initialBearing } from "../utils/geo.js";
 
 /**
- * Get segment details with caching
+ * Get segment details with their route decoded. The details come from the
+ * active account's persistent response cache, so nothing is kept here that
+ * could outlive a logout or an account switch.
  * @param {string} segmentId - Strava segment ID
  * @returns {Promise<Object>} Segment details
  */
 async function getSegmentWithCache(segmentId) {
-  // Check if segment is in cache
-  if (segmentCache.has(segmentId)) {
-    return segmentCache.get(segmentId);
-  }
-
   try {
     const segment = await getSegmentDetails(segmentId);
 
@@ -23,6 +18,9 @@ async function getSegmentWithCache(segmentId) {
       // For simplicity we'll use the start point for weather
       const decodedPolyline = decodePolyline(segment.map.polyline);
       if (decodedPolyline.length > 0) {
+        // The full route is used to analyze the wind leg by leg
+        segment.coordinates = decodedPolyline;
+
         const startPoint = decodedPolyline[0];
         segment.start_latlng = startPoint;
 
@@ -30,14 +28,11 @@ async function getSegmentWithCache(segmentId) {
         if (decodedPolyline.length > 1) {
           const endPoint = decodedPolyline[decodedPolyline.length - 1];
           segment.end_latlng = endPoint;
-          segment.direction = calculateDirection(startPoint, endPoint);
+          segment.direction = initialBearing(startPoint, endPoint);
         }
       }
     }
 
-    // Cache the result
-    segmentCache.set(segmentId, segment);
-
     return segment;
   } catch (error) {
     console.error(`Error fetching segment ${segmentId}:`, error);
@@ -45,23 +40,4 @@ async function getSegmentWithCache(segmentId) {
   }
 }
 
-/**
- * Calculate compass direction from start to end point
- * @param {Array} start - [lat, lng] of start point
- * @param {Array} end - [lat, lng] of end point
- * @returns {number} Direction in degrees (0-359)
- */
-function calculateDirection(start, end) {
-  const [lat1, lng1] = start;
-  const [lat2, lng2] = end;
-
-  const y = Math.sin(lng2 - lng1) * Math.cos(lat2);
-  const x =
-    Math.cos(lat1) * Math.sin(lat2) -
-    Math.sin(lat1) * Math.cos(lat2) * Math.cos(lng2 - lng1);
-
-  const bearing = (Math.atan2(y, x) * 180) / Math.PI;
-  return (bearing + 360) % 360; // Normalize to 0-359
-}
-
 export { getSegmentWithCache };
@@ -0,0 +1,36 @@
+// src/services/segmentWeather.js - Combines segment details and current weather into an assist rating
+import { getSegmentWithCache } from "./segmentService.js";
+import { getCurrentWeather } from "./weatherApi.js";
+import { analyzeWeather } from "./weatherAnalysis.js";
+import { planAttemptWindows } from "./forecastWindows.js";
+import { getRiderProfile } from "./riderProfile.js";
+import { MissingPolylineError } from "../errors.js";
+
+/**
+ * Rates the current weather for riding a segment, and the forecast for the
+ * next hours
+ * @param {string} segmentId - Strava segment ID
+ * @returns {Promise<Object>} The weather analysis for the saved rider profile,
+ * with the best times to ride from planAttemptWindows under windows
+ * @throws {MissingPolylineError} When the segment has no location to look up
+ */
+async function analyzeSegmentWeather(segmentId) {
+  const segment = await getSegmentWithCache(segmentId);
+
+  if (!segment.start_latlng || segment.start_latlng.length < 2) {
+    throw new MissingPolylineError(segmentId);
+  }
+
+  const [lat, lng] = segment.start_latlng;
+  const [weather, profile] = await Promise.all([
+    getCurrentWeather(lat, lng),
+    getRiderProfile(),
+  ]);
+
+  return {
+    ...analyzeWeather(weather, segment, profile),
+    windows: planAttemptWindows(weather, segment, { profile }),
+  };
+}
+
+export { analyzeSegmentWeather };
@@ -0,0 +1,184 @@
+// src/services/tokenCrypto.js - Encrypts OAuth tokens at rest with a key kept in IndexedDB
+import { TokenDecryptionError } from "../errors.js";
+
+// IndexedDB database and object store holding the encryption key
+const KEY_DB_NAME = "strava-plugin-keys";
+const KEY_STORE_NAME = "keys";
+const TOKEN_KEY_ID = "tokens";
+
+// AES-GCM with a 256-bit key and the recommended 96-bit IV
+const KEY_ALGORITHM = { name: "AES-GCM", length: 256 };
+const IV_BYTES = 12;
+
+/**
+ * Checks whether this context can use the token key. The key lives in the
+ * extension's own IndexedDB; content scripts would see the web page's.
+ * @returns {boolean} True in extension pages and the service worker
+ */
+function isTokenKeyAvailable() {
+  return (
+    typeof location !== "undefined" && location.protocol === "chrome-extension:"
+  );
+}
+
+/**
+ * Encrypts tokens, creating the key the first time it is needed
+ * @param {Object} tokens - Token fields to encrypt
+ * @returns {Promise<Object>} Encrypted tokens as { iv, data } in base64
+ */
+async function encryptTokens(tokens) {
+  const key = await getTokenKey(true);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt(
+    { name: KEY_ALGORITHM.name, iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(tokens))
+  );
+
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypts tokens encrypted by encryptTokens
+ * @param {Object} encrypted - Encrypted tokens as { iv, data }
+ * @returns {Promise<Object>} The token fields
+ * @throws {TokenDecryptionError} When the key is gone or the data was altered
+ */
+async function decryptTokens(encrypted) {
+  const key = await getTokenKey(false);
+
+  if (!key) {
+    throw new TokenDecryptionError("The token encryption key is missing.");
+  }
+
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: KEY_ALGORITHM.name, iv: fromBase64(encrypted.iv) },
+      key,
+      fromBase64(encrypted.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch (error) {
+    throw new TokenDecryptionError(undefined, { cause: error });
+  }
+}
+
+/**
+ * Deletes the token key; tokens encrypted with it can no longer be read
+ * @returns {Promise<boolean>} True if a key was deleted
+ */
+async function deleteTokenKey() {
+  const db = await openKeyDatabase();
+  try {
+    const store = db
+      .transaction(KEY_STORE_NAME, "readwrite")
+      .objectStore(KEY_STORE_NAME);
+    const existing = await idbRequest(store.get(TOKEN_KEY_ID));
+    await idbRequest(store.delete(TOKEN_KEY_ID));
+    return !!existing;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Loads the token key from IndexedDB. The key is generated as
+ * non-extractable, so its raw bytes can never be read back, not even by
+ * the extension itself. When two pages create the key at once, the first
+ * one stored wins.
+ * @param {boolean} create - Generate and store a key if there is none
+ * @returns {Promise<CryptoKey|null>} The key, or null if missing and not created
+ */
+async function getTokenKey(create) {
+  if (!isTokenKeyAvailable()) {
+    throw new Error("The token key is only available to extension pages.");
+  }
+
+  const db = await openKeyDatabase();
+  try {
+    const existing = await idbRequest(
+      db
+        .transaction(KEY_STORE_NAME, "readonly")
+        .objectStore(KEY_STORE_NAME)
+        .get(TOKEN_KEY_ID)
+    );
+    if (existing || !create) {
+      return existing || null;
+    }
+
+    const key = await crypto.subtle.generateKey(KEY_ALGORITHM, false, [
+      "encrypt",
+      "decrypt",
+    ]);
+    try {
+      // add rather than put: another page may have stored a key meanwhile,
+      // and tokens may already be encrypted with it
+      await idbRequest(
+        db
+          .transaction(KEY_STORE_NAME, "readwrite")
+          .objectStore(KEY_STORE_NAME)
+          .add(key, TOKEN_KEY_ID)
+      );
+      return key;
+    } catch (error) {
+      if (error && error.name === "ConstraintError") {
+        return await idbRequest(
+          db
+            .transaction(KEY_STORE_NAME, "readonly")
+            .objectStore(KEY_STORE_NAME)
+            .get(TOKEN_KEY_ID)
+        );
+      }
+      throw error;
+    }
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Opens the key database, creating its object store on first use
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(KEY_STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promise wrapper around an IndexedDB request
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<any>} The request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decodes base64 text
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} The bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+export { isTokenKeyAvailable, encryptTokens, decryptTokens, deleteTokenKey };
@@ -1,4 +1,18 @@
 // src/services/weatherAnalysis.js
+import { haversineDistance, initialBearing } from "../utils/geo.js";
+import { estimateCourseTime } from "./cyclingModel.js";
+import { DEFAULT_RIDER_PROFILE } from "./riderProfile.js";
+
+// Wind slower than this, in m/s, is treated as calm
+const CALM_WIND_SPEED = 1;
+
+// Wind along the route, in m/s, that counts as full assistance or hindrance
+const STRONG_WIND_SPEED = 5;
+
+// Angles between the wind and the direction of travel, in degrees, up to
+// which a leg has a tailwind and from which it has a headwind
+const TAILWIND_MAX_ANGLE = 45;
+const HEADWIND_MIN_ANGLE = 135;
 
 /**
  * Segment types that affect how weather assistance is calculated
@@ -22,6 +36,29 @@ const AssistLevel = {
   UNFAVORABLE: "Unfavorable",
 };
 
+/**
+ * Sports that segments are for, as in the activity_type of a segment
+ * @enum {string}
+ */
+const Sport = {
+  RIDE: "Ride",
+  RUN: "Run",
+};
+
+/**
+ * How the wind blows relative to the direction of a segment
+ * @enum {string}
+ */
+const WindEffect = {
+  TAILWIND: "tailwind",
+  HEADWIND: "headwind",
+  CROSSWIND: "crosswind",
+  // Tailwind and headwind that roughly cancel out, e.g. out and back
+  MIXED: "mixed",
+  CALM: "calm",
+  UNKNOWN: "unknown",
+};
+
 /**
  * Determines the type of segment based on its properties
  * @param {Object} segment - Segment data
@@ -45,39 +82,116 @@ function determineSegmentType(segment) {
   }
 }
 
+/**
+ * Split the route into legs between consecutive points. Without a route,
+ * the straight line from start to end is the only leg.
+ * @param {Object} segment - Segment data (coordinates, or start_latlng and end_latlng)
+ * @returns {Array<Object>} Legs as { bearing, length } in degrees and meters
+ */
+function getRouteLegs(segment) {
+  const points =
+    segment.coordinates && segment.coordinates.length > 1
+      ? segment.coordinates
+      : [segment.start_latlng, segment.end_latlng].filter(Boolean);
+
+  const legs = [];
+  for (let i = 1; i < points.length; i++) {
+    const length = haversineDistance(points[i - 1], points[i]);
+    if (length > 0) {
+      legs.push({ bearing: initialBearing(points[i - 1], points[i]), length });
+    }
+  }
+  return legs;
+}
+
+/**
+ * Describe the segment as a course for the cycling model. The polyline only
+ * approximates the segment, so its legs are scaled to the segment distance.
+ * @param {Object} segment - Segment data
+ * @returns {Object} Course as { legs, grade, altitude } with the grade as a
+ * fraction and the mean altitude in meters
+ */
+function getCourse(segment) {
+  const legs = getRouteLegs(segment);
+  const routeLength = legs.reduce((sum, leg) => sum + leg.length, 0);
+  const scale =
+    segment.distance > 0 && routeLength > 0
+      ? segment.distance / routeLength
+      : 1;
+  const hasElevation =
+    segment.elevation_high != null && segment.elevation_low != null;
+
+  return {
+    legs: legs.map((leg) => ({ ...leg, length: leg.length * scale })),
+    grade: (segment.average_grade || 0) / 100,
+    altitude: hasElevation
+      ? (segment.elevation_high + segment.elevation_low) / 2
+      : 0,
+  };
+}
+
+/**
+ * Analyze the wind along every leg of the route, weighted by leg length.
+ * Wind direction is where the wind comes from, so a tailwind comes from
+ * behind, opposite to the direction of travel.
+ * @param {Object} wind - Wind data as { speed, deg } in m/s and degrees
+ * @param {Object} segment - Segment data (coordinates, or start_latlng and end_latlng)
+ * @returns {Object|null} { tailwindShare, headwindShare, crosswindShare,
+ * effectiveWind } where the shares are fractions of the route length and
+ * effectiveWind is the mean wind component along the route in m/s, positive
+ * for a tailwind; null without a route
+ */
+function analyzeRouteWind(wind, segment) {
+  const legs = getRouteLegs(segment);
+  const totalLength = legs.reduce((sum, leg) => sum + leg.length, 0);
+  if (totalLength === 0) return null;
+
+  const windToward = (wind.deg + 180) % 360;
+  const result = {
+    tailwindShare: 0,
+    headwindShare: 0,
+    crosswindShare: 0,
+    effectiveWind: 0,
+  };
+
+  legs.forEach(({ bearing, length }) => {
+    const weight = length / totalLength;
+    const angle = Math.abs(((windToward - bearing + 540) % 360) - 180);
+
+    if (angle <= TAILWIND_MAX_ANGLE) {
+      result.tailwindShare += weight;
+    } else if (angle >= HEADWIND_MIN_ANGLE) {
+      result.headwindShare += weight;
+    } else {
+      result.crosswindShare += weight;
+    }
+    result.effectiveWind +=
+      weight * wind.speed * Math.cos((angle * Math.PI) / 180);
+  });
+
+  return result;
+}
+
 /**
  * Calculate the wind assistance based on wind and segment data
  * @param {Object} wind - Wind data (speed and direction)
- * @param {Object} segment - Segment data (including direction)
+ * @param {Object|null} routeWind - Wind along the route from analyzeRouteWind
  * @returns {number} Wind assistance factor (-1 to 1)
  */
-function calculateWindAssistance(wind, segment) {
-  if (!wind || !wind.speed || wind.speed < 1) {
+function calculateWindAssistance(wind, routeWind) {
+  if (!wind || !wind.speed || wind.speed < CALM_WIND_SPEED) {
     return 0; // No significant wind
   }
 
-  // If segment has directional data, use it
-  if (segment.direction) {
-    // Calculate the angle between wind direction and segment direction
-    const windDirection = wind.deg;
-    const segmentDirection = segment.direction;
-
-    // Normalize the angle difference to 0-180 degrees
-    const angleDiff = Math.abs(
-      ((windDirection - segmentDirection + 180) % 360) - 180
+  // With a route, scale the wind along it; a strong tailwind counts fully
+  if (routeWind) {
+    return Math.max(
+      -1,
+      Math.min(1, routeWind.effectiveWind / STRONG_WIND_SPEED)
     );
-
-    // Convert to a factor: 1 for tailwind, -1 for headwind, 0 for crosswind
-    if (angleDiff <= 45) {
-      return 1; // Tailwind
-    } else if (angleDiff >= 135) {
-      return -1; // Headwind
-    } else {
-      return 0; // Crosswind
-    }
   }
 
-  // For segments without direction data, we just use wind speed as a general factor
+  // For segments without a route, we just use wind speed as a general factor
   if (wind.speed > 8) {
     return 0.5; // Stronger wind has more potential for assistance (or hindrance)
   } else {
@@ -86,12 +200,183 @@ function calculateWindAssistance(wind, segment) {
 }
 
 /**
- * Analyze weather conditions for a segment
+ * Describe the wind relative to the segment, before any adjustment for the
+ * type of segment
+ * @param {Object} wind - Wind data (speed and direction)
+ * @param {Object|null} routeWind - Wind along the route from analyzeRouteWind
+ * @returns {WindEffect} The wind effect
+ */
+function getWindEffect(wind, routeWind) {
+  if (!wind || !wind.speed || wind.speed < CALM_WIND_SPEED) {
+    return WindEffect.CALM;
+  }
+  if (!routeWind) {
+    return WindEffect.UNKNOWN;
+  }
+
+  // Half the wind speed along the route is what a 60 degree angle gives
+  const alongRoute = routeWind.effectiveWind / wind.speed;
+  if (alongRoute >= 0.5) return WindEffect.TAILWIND;
+  if (alongRoute <= -0.5) return WindEffect.HEADWIND;
+  return routeWind.crosswindShare >= 0.5
+    ? WindEffect.CROSSWIND
+    : WindEffect.MIXED;
+}
+
+/**
+ * Rate the air temperature for riding
+ * @param {Object} conditions - Weather conditions (OpenWeather current or hourly entry)
+ * @returns {number} Temperature factor (-1 to 1)
+ */
+function rateRideTemperature({ temp }) {
+  if (temp < 5) {
+    return -0.8; // Very cold
+  } else if (temp < 10) {
+    return -0.4; // Cold
+  } else if (temp > 30) {
+    return -0.8; // Very hot
+  } else if (temp > 25) {
+    return -0.4; // Hot
+  } else {
+    return 0.5; // Ideal temperature
+  }
+}
+
+/**
+ * Rate the humidity for riding; the airflow keeps riders cool, so only very
+ * humid air counts
+ * @param {Object} conditions - Weather conditions
+ * @returns {number} Humidity factor (-1 to 1)
+ */
+function rateRideHumidity({ humidity }) {
+  return humidity > 85 ? -0.4 : 0;
+}
+
+/**
+ * Rate the heat index for running. Runners make more heat at less airflow
+ * than riders, so they are best off in cooler air.
+ * @param {Object} conditions - Weather conditions
+ * @returns {number} Temperature factor (-1 to 1)
+ */
+function rateRunTemperature({ temp, humidity }) {
+  const feelsLike = heatIndex(temp, humidity);
+
+  if (feelsLike == null || Number.isNaN(feelsLike)) {
+    return 0; // Unknown
+  } else if (feelsLike < 0) {
+    return -0.4; // Cold
+  } else if (feelsLike <= 15) {
+    return 0.5; // Ideal temperature
+  } else if (feelsLike <= 21) {
+    return 0;
+  } else if (feelsLike <= 27) {
+    return -0.5; // Warm
+  } else {
+    return -1; // Hot
+  }
+}
+
+/**
+ * Rate the dew point for running, which limits how well sweat cools
+ * @param {Object} conditions - Weather conditions
+ * @returns {number} Humidity factor (-1 to 1)
+ */
+function rateRunHumidity({ temp, humidity, dew_point: dewPointValue }) {
+  const dew = dewPointValue != null ? dewPointValue : dewPoint(temp, humidity);
+
+  if (dew == null || Number.isNaN(dew)) {
+    return 0; // Unknown
+  } else if (dew < 10) {
+    return 0.2; // Dry
+  } else if (dew < 16) {
+    return 0;
+  } else if (dew < 18) {
+    return -0.3; // Sticky
+  } else if (dew < 21) {
+    return -0.6; // Muggy
+  } else {
+    return -1; // Oppressive
+  }
+}
+
+/**
+ * Scoring profiles per sport: how much each factor counts toward the score,
+ * and how temperature and humidity are rated
+ */
+const SPORT_PROFILES = {
+  // Aerodynamic drag makes the wind the largest effect on a bike
+  [Sport.RIDE]: {
+    weights: { wind: 2, temperature: 1, precipitation: 1, humidity: 1 },
+    rateTemperature: rateRideTemperature,
+    rateHumidity: rateRideHumidity,
+  },
+  // Runners are slow enough that wind matters little next to heat
+  [Sport.RUN]: {
+    weights: { wind: 0.5, temperature: 2, precipitation: 0.5, humidity: 1.5 },
+    rateTemperature: rateRunTemperature,
+    rateHumidity: rateRunHumidity,
+  },
+};
+
+/**
+ * Determines the sport of a segment
+ * @param {Object} segment - Segment data
+ * @returns {Sport} The sport, Ride unless the segment is for running
+ */
+function determineSport(segment) {
+  return segment.activity_type === Sport.RUN ? Sport.RUN : Sport.RIDE;
+}
+
+/**
+ * Calculate the heat index with the NWS formula; below 27°C it is close
+ * enough to the air temperature to use that
+ * @param {number} temp - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number} Heat index in °C
+ */
+function heatIndex(temp, humidity) {
+  if (temp < 27 || humidity == null) return temp;
+
+  const t = (temp * 9) / 5 + 32;
+  const rh = humidity;
+  const fahrenheit =
+    -42.379 +
+    2.04901523 * t +
+    10.14333127 * rh -
+    0.22475541 * t * rh -
+    0.00683783 * t * t -
+    0.05481717 * rh * rh +
+    0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh -
+    0.00000199 * t * t * rh * rh;
+
+  return ((fahrenheit - 32) * 5) / 9;
+}
+
+/**
+ * Calculate the dew point with the Magnus formula
+ * @param {number} temp - Air temperature in °C
+ * @param {number} humidity - Relative humidity in percent
+ * @returns {number} Dew point in °C, NaN when either value is missing
+ */
+function dewPoint(temp, humidity) {
+  if (temp == null || humidity == null) return NaN;
+
+  const gamma = Math.log(humidity / 100) + (17.62 * temp) / (243.12 + temp);
+  return (243.12 * gamma) / (17.62 - gamma);
+}
+
+/**
+ * Analyze weather conditions for a segment, scored for the sport of the
+ * segment
  * @param {Object} weather - Weather data
  * @param {Object} segment - Segment data
- * @returns {Object} Analysis result with assistance level
+ * @param {Object} profile - Rider profile for the time estimate
+ * @returns {Object} Analysis result with assistance level, the sport scored
+ * for under factors.sport, and under timeEstimate the estimated time against
+ * still air from estimateCourseTime (null for running)
  */
-function analyzeWeather(weather, segment) {
+function analyzeWeather(weather, segment, profile = DEFAULT_RIDER_PROFILE) {
   if (!weather || !segment) {
     return {
       level: AssistLevel.NEUTRAL,
@@ -99,57 +384,65 @@ function analyzeWeather(weather, segment) {
     };
   }
 
-  // Extract key weather data
+  // Extract key weather data; OpenWeather gives the wind in m/s and the
+  // direction it comes from in degrees
   const current = weather.current || {};
-  const wind = current.wind || {};
+  const wind = { speed: current.wind_speed, deg: current.wind_deg };
   const temp = current.temp;
-  const humidity = current.humidity;
   const precip = current.rain ? current.rain["1h"] : 0;
 
-  // Determine segment type
+  // Determine segment type and the sport to score for
   const segmentType = determineSegmentType(segment);
+  const sport = determineSport(segment);
+  const sportProfile = SPORT_PROFILES[sport];
 
   // Calculate individual factors
-  let windFactor = calculateWindAssistance(wind, segment);
+  const routeWind =
+    wind.speed >= CALM_WIND_SPEED && wind.deg != null
+      ? analyzeRouteWind(wind, segment)
+      : null;
+  const windEffect = getWindEffect(wind, routeWind);
+  let windFactor = calculateWindAssistance(wind, routeWind);
 
   // For climbs, headwind can actually be good for cooling
   if (segmentType === SegmentType.CLIMB && windFactor < 0) {
     windFactor = windFactor * -0.5; // Reduce the negative impact
   }
 
-  // Temperature factor
-  let tempFactor = 0;
-  if (temp < 5) {
-    tempFactor = -0.8; // Very cold
-  } else if (temp < 10) {
-    tempFactor = -0.4; // Cold
-  } else if (temp > 30) {
-    tempFactor = -0.8; // Very hot
-  } else if (temp > 25) {
-    tempFactor = -0.4; // Hot
-  } else {
-    tempFactor = 0.5; // Ideal temperature
-  }
-
-  // Precipitation factor
-  const precipFactor = precip > 0 ? -0.8 : 0;
-
-  // Humidity factor
-  const humidityFactor = humidity > 85 ? -0.4 : 0;
+  const factors = {
+    wind: windFactor,
+    temperature: sportProfile.rateTemperature(current),
+    precipitation: precip > 0 ? -0.8 : 0,
+    humidity: sportProfile.rateHumidity(current),
+  };
 
-  // Calculate overall score
-  const factors = [windFactor, tempFactor, precipFactor, humidityFactor];
+  // Calculate overall score, weighting the factors for the sport
+  const { weights } = sportProfile;
+  const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
   const totalScore =
-    factors.reduce((sum, factor) => sum + factor, 0) / factors.length;
+    Object.keys(weights).reduce(
+      (sum, factor) => sum + weights[factor] * factors[factor],
+      0
+    ) / totalWeight;
+
+  // The power model is for bikes only
+  const timeEstimate =
+    sport === Sport.RIDE
+      ? estimateCourseTime(
+        getCourse(segment),
+        { wind, temperature: temp },
+        profile
+      )
+      : null;
 
   // Determine assistance level
   let level, message;
   if (totalScore > 0.2) {
     level = AssistLevel.FAVORABLE;
-    message = getPositiveMessage(weather, segmentType);
+    message = getPositiveMessage(weather, windEffect, segmentType, sport);
   } else if (totalScore < -0.2) {
     level = AssistLevel.UNFAVORABLE;
-    message = getNegativeMessage(weather, segmentType);
+    message = getNegativeMessage(weather, windEffect, segmentType, sport);
   } else {
     level = AssistLevel.NEUTRAL;
     message = getNeutralMessage(weather);
@@ -158,12 +451,10 @@ function analyzeWeather(weather, segment) {
   return {
     level,
     message,
-    factors: {
-      wind: windFactor,
-      temperature: tempFactor,
-      precipitation: precipFactor,
-      humidity: humidityFactor,
-    },
+    windEffect,
+    wind: routeWind,
+    timeEstimate,
+    factors: { sport, ...factors },
     score: totalScore,
   };
 }
@@ -171,14 +462,26 @@ function analyzeWeather(weather, segment) {
 /**
  * Get a positive message based on weather conditions
  * @param {Object} weather - Weather data
+ * @param {WindEffect} windEffect - Wind relative to the segment
  * @param {SegmentType} segmentType - Type of segment
+ * @param {Sport} sport - Sport the conditions were scored for
  * @returns {string} Message
  */
-function getPositiveMessage(weather, segmentType) {
-  const wind = weather.current?.wind;
+function getPositiveMessage(weather, windEffect, segmentType, sport) {
+  const windSpeed = weather.current?.wind_speed;
   const temp = weather.current?.temp;
 
-  if (wind && wind.speed > 5 && segmentType !== SegmentType.CLIMB) {
+  if (sport === Sport.RUN) {
+    return temp != null && temp <= 15
+      ? "Cool running conditions"
+      : "Favorable conditions";
+  }
+
+  if (
+    windEffect === WindEffect.TAILWIND &&
+    windSpeed > 5 &&
+    segmentType !== SegmentType.CLIMB
+  ) {
     return "Good tailwind conditions";
   } else if (temp && temp >= 15 && temp <= 25) {
     return "Ideal temperature";
@@ -190,17 +493,34 @@ function getPositiveMessage(weather, segmentType) {
 /**
  * Get a negative message based on weather conditions
  * @param {Object} weather - Weather data
+ * @param {WindEffect} windEffect - Wind relative to the segment
  * @param {SegmentType} segmentType - Type of segment
+ * @param {Sport} sport - Sport the conditions were scored for
  * @returns {string} Message
  */
-function getNegativeMessage(weather, segmentType) {
-  const wind = weather.current?.wind;
+function getNegativeMessage(weather, windEffect, segmentType, sport) {
+  const current = weather.current || {};
+  const windSpeed = weather.current?.wind_speed;
   const temp = weather.current?.temp;
+  const humidity = weather.current?.humidity;
   const rain = weather.current?.rain?.["1h"];
 
+  if (sport === Sport.RUN) {
+    if (temp != null && heatIndex(temp, humidity) > 27) {
+      return "Excessive heat";
+    } else if (rateRunHumidity(current) <= -0.6) {
+      return "Muggy conditions";
+    }
+  }
+
   if (rain && rain > 0) {
     return "Wet conditions";
-  } else if (wind && wind.speed > 5 && segmentType !== SegmentType.CLIMB) {
+  } else if (
+    sport === Sport.RIDE &&
+    windEffect === WindEffect.HEADWIND &&
+    windSpeed > 5 &&
+    segmentType !== SegmentType.CLIMB
+  ) {
     return "Strong headwind";
   } else if (temp && temp > 30) {
     return "Excessive heat";
@@ -219,4 +539,11 @@ function getNeutralMessage() {
   return "Average conditions";
 }
 
-export { analyzeWeather, AssistLevel, SegmentType };
+export {
+  analyzeWeather,
+  analyzeRouteWind,
+  AssistLevel,
+  SegmentType,
+  Sport,
+  WindEffect,
+};
@@ -1,5 +1,6 @@
 // src/services/weatherApi.js
 import CONFIG from "../config.js";
+import { BackendError, NetworkError } from "../errors.js";
 
 /**
  * Gets current weather data for a specific location
@@ -13,10 +14,14 @@ async function getCurrentWeather(lat, lon) {
     url.searchParams.append("lat", lat);
     url.searchParams.append("lon", lon);
 
-    const response = await fetch(url.toString());
+    const response = await fetch(url.toString()).catch((error) => {
+      throw new NetworkError(undefined, { cause: error });
+    });
 
     if (!response.ok) {
-      throw new Error(`Weather API error: ${response.statusText}`);
+      throw new BackendError(`Weather API error: ${response.statusText}`, {
+        status: response.status,
+      });
     }
 
     return await response.json();
@@ -31,7 +36,9 @@ async function getCurrentWeather(lat, lon) {
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
  * @param {number} timestamp - Unix timestamp
- * @returns {Promise<Object>} Historical weather data
+ * @returns {Promise<Object>} Historical weather data, with the conditions at
+ * that time under current like in getCurrentWeather
+ * @throws {BackendError} When the service fails or has no conditions for that time
  */
 async function getHistoricalWeather(lat, lon, timestamp) {
   try {
@@ -40,13 +47,25 @@ async function getHistoricalWeather(lat, lon, timestamp) {
     url.searchParams.append("lon", lon);
     url.searchParams.append("dt", timestamp);
 
-    const response = await fetch(url.toString());
+    const response = await fetch(url.toString()).catch((error) => {
+      throw new NetworkError(undefined, { cause: error });
+    });
 
     if (!response.ok) {
-      throw new Error(`Historical weather API error: ${response.statusText}`);
+      throw new BackendError(
+        `Historical weather API error: ${response.statusText}`,
+        {
+          status: response.status,
+        }
+      );
     }
 
-    return await response.json();
+    // The time machine API lists the conditions under data instead
+    const weather = await response.json();
+    if (!weather.data || !weather.data[0]) {
+      throw new BackendError("Historical weather API returned no conditions");
+    }
+    return { ...weather, current: weather.data[0] };
   } catch (error) {
     console.error("Error fetching historical weather data:", error);
     throw error;
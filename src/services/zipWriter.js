@@ -0,0 +1,145 @@
+// src/services/zipWriter.js - Builds uncompressed ZIP archives in the browser
+
+// Record signatures
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Version 2.0, needed for folders and the UTF-8 name flag
+const ZIP_VERSION = 20;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Lazily built CRC-32 lookup table
+let crcTable = null;
+
+/**
+ * Creates a ZIP archive. Files are stored without compression, which keeps
+ * the writer small; GPX and similar exports are quick to download anyway.
+ * @param {Array<Object>} files - Files as { name, content } where content is a string or Uint8Array
+ * @param {Date} modified - Modification time recorded for every file
+ * @returns {Uint8Array} The ZIP archive
+ */
+function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data =
+      typeof content === "string" ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, 0, true); // stored
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([
+    ...localParts,
+    ...centralParts,
+    new Uint8Array(end.buffer),
+  ]);
+}
+
+/**
+ * Joins byte arrays into one
+ * @param {Array<Uint8Array>} parts - Byte arrays
+ * @returns {Uint8Array} The combined bytes
+ */
+function concatBytes(parts) {
+  const result = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+
+  let position = 0;
+  parts.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+
+  return result;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields used by ZIP
+ * @param {Date} date - Date to convert (local time, 2-second precision)
+ * @returns {Object} time and date as 16-bit numbers
+ */
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+/**
+ * Computes the CRC-32 used by ZIP
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export { createZip };
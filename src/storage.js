@@ -0,0 +1,54 @@
+// src/storage.js - Promise wrappers around chrome.storage.local
+
+/**
+ * Promise wrapper around chrome.storage.local.get
+ * @param {Array<string>|null} keys - Keys to read, or null for everything
+ * @returns {Promise<Object>} The stored items
+ */
+function storageGet(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get(keys, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(result || {});
+      }
+    });
+  });
+}
+
+/**
+ * Promise wrapper around chrome.storage.local.set
+ * @param {Object} items - Items to store
+ * @returns {Promise<void>}
+ */
+function storageSet(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Promise wrapper around chrome.storage.local.remove
+ * @param {Array<string>} keys - Keys to remove
+ * @returns {Promise<void>}
+ */
+function storageRemove(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.remove(keys, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+export { storageGet, storageSet, storageRemove };
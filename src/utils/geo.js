@@ -0,0 +1,227 @@
+// src/utils/geo.js - Distance, bearing and polyline helpers shared across the extension
+//
+// Points are [lat, lng, ...] arrays in degrees; anything after lng (such as
+// elevation) is ignored unless stated otherwise.
+
+// Mean Earth radius in meters
+const EARTH_RADIUS_METERS = 6371000;
+
+// Google polylines store coordinates with five decimals
+const POLYLINE_PRECISION = 5;
+
+/**
+ * Converts degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Converts radians to degrees
+ * @param {number} radians - Angle in radians
+ * @returns {number} Angle in degrees
+ */
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+/**
+ * Calculates the great-circle distance between two points
+ * @param {Array} from - [lat, lng] of the first point
+ * @param {Array} to - [lat, lng] of the second point
+ * @returns {number} Distance in meters
+ */
+function haversineDistance([lat1, lng1], [lat2, lng2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Calculates the initial compass bearing of the great circle from one point
+ * to another
+ * @param {Array} from - [lat, lng] of the first point
+ * @param {Array} to - [lat, lng] of the second point
+ * @returns {number} Bearing in degrees, 0 for north and 90 for east (0-360)
+ */
+function initialBearing([lat1, lng1], [lat2, lng2]) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const deltaLambda = toRadians(lng2 - lng1);
+
+  const y = Math.sin(deltaLambda) * Math.cos(phi2);
+  const x =
+    Math.cos(phi1) * Math.sin(phi2) -
+    Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Calculates the distance along a route to each of its points
+ * @param {Array<Array>} coordinates - Route points
+ * @returns {Array<number>} Distance in meters from the start to each point
+ */
+function cumulativeDistances(coordinates) {
+  let distance = 0;
+
+  return coordinates.map((point, i) => {
+    if (i > 0) {
+      distance += haversineDistance(coordinates[i - 1], point);
+    }
+    return distance;
+  });
+}
+
+/**
+ * Finds the point a fraction of the way from one point to another along the
+ * great circle between them
+ * @param {Array} from - [lat, lng] of the first point
+ * @param {Array} to - [lat, lng] of the second point
+ * @param {number} fraction - 0 for the first point, 1 for the second
+ * @returns {Array} [lat, lng] of the point
+ */
+function interpolatePoint(from, to, fraction) {
+  const delta = haversineDistance(from, to) / EARTH_RADIUS_METERS;
+  if (delta === 0) {
+    return [from[0], from[1]];
+  }
+
+  const [phi1, lambda1] = [toRadians(from[0]), toRadians(from[1])];
+  const [phi2, lambda2] = [toRadians(to[0]), toRadians(to[1])];
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+
+  const x =
+    a * Math.cos(phi1) * Math.cos(lambda1) +
+    b * Math.cos(phi2) * Math.cos(lambda2);
+  const y =
+    a * Math.cos(phi1) * Math.sin(lambda1) +
+    b * Math.cos(phi2) * Math.sin(lambda2);
+  const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+
+  return [
+    toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    toDegrees(Math.atan2(y, x)),
+  ];
+}
+
+/**
+ * Finds the point at a distance along a route
+ * @param {Array<Array>} coordinates - Route points
+ * @param {number} distance - Distance from the start in meters; clamped to the route
+ * @returns {Array|null} [lat, lng] of the point, or null for an empty route
+ */
+function pointAtDistance(coordinates, distance) {
+  if (coordinates.length === 0) return null;
+
+  const distances = cumulativeDistances(coordinates);
+  for (let i = 1; i < coordinates.length; i++) {
+    if (distance <= distances[i]) {
+      const legLength = distances[i] - distances[i - 1];
+      const fraction =
+        legLength > 0
+          ? Math.max(0, distance - distances[i - 1]) / legLength
+          : 0;
+      return interpolatePoint(coordinates[i - 1], coordinates[i], fraction);
+    }
+  }
+
+  const [lat, lng] = coordinates[coordinates.length - 1];
+  return [lat, lng];
+}
+
+/**
+ * Encodes points as a Google polyline
+ * @param {Array<Array>} coordinates - Points to encode
+ * @param {number} precision - Decimal places kept
+ * @returns {string} Encoded polyline
+ */
+function encodePolyline(coordinates, precision = POLYLINE_PRECISION) {
+  const factor = 10 ** precision;
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = "";
+
+  coordinates.forEach(([lat, lng]) => {
+    const roundedLat = Math.round(lat * factor);
+    const roundedLng = Math.round(lng * factor);
+    encoded += encodeSignedValue(roundedLat - previousLat);
+    encoded += encodeSignedValue(roundedLng - previousLng);
+    previousLat = roundedLat;
+    previousLng = roundedLng;
+  });
+
+  return encoded;
+}
+
+/**
+ * Encodes one polyline value: the sign goes into the lowest bit, then the
+ * value is written in 5-bit chunks, lowest first
+ * @param {number} value - Integer to encode
+ * @returns {string} Encoded characters
+ */
+function encodeSignedValue(value) {
+  let remaining = value < 0 ? -value * 2 - 1 : value * 2;
+  let encoded = "";
+
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining = Math.floor(remaining / 32);
+  }
+  return encoded + String.fromCharCode(remaining + 63);
+}
+
+/**
+ * Decodes a Google polyline
+ * @param {string} encodedPolyline - Encoded polyline
+ * @param {number} precision - Decimal places kept when it was encoded
+ * @returns {Array<Array>} Array of [lat, lng] points
+ */
+function decodePolyline(encodedPolyline, precision = POLYLINE_PRECISION) {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let scale = 1;
+    let chunk;
+
+    do {
+      chunk = encodedPolyline.charCodeAt(index++) - 63;
+      result += (chunk & 0x1f) * scale;
+      scale *= 32;
+    } while (chunk >= 0x20);
+
+    return result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+  };
+
+  while (index < encodedPolyline.length) {
+    lat += readValue();
+    lng += readValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+
+  return coordinates;
+}
+
+export {
+  haversineDistance,
+  initialBearing,
+  cumulativeDistances,
+  interpolatePoint,
+  pointAtDistance,
+  encodePolyline,
+  decodePolyline,
+};
@@ -1,17 +1,51 @@
 // test/api.test.js
+import {
+  getAllStarredSegments,
+  getSegmentTrack,
+  convertToGPX,
+  convertToTCX,
+  convertToFIT,
+  convertToGeoJSON,
+  convertToKML,
+} from "../src/api.js";
+import { encodeFitCourse, FitSport } from "../src/services/fitEncoder.js";
 
 // We need to mock the modules before importing
-jest.mock("../src/auth", () => ({
+jest.mock("../src/auth.js", () => ({
+  getActiveAthleteId: jest.fn(() => Promise.resolve(42)),
   getValidAccessToken: jest.fn(() => Promise.resolve("test_access_token")),
 }));
 
-jest.mock("../src/config", () => ({
+jest.mock("../src/config.js", () => ({
+  __esModule: true,
   default: {
     STRAVA_API_BASE_URL: "https://www.strava.com/api/v3",
     VERSION: "0.1.0",
   },
 }));
 
+// Requests go straight to fetch, uncached
+jest.mock("../src/services/rateLimiter.js", () => ({
+  scheduleRequest: jest.fn((sendRequest) => sendRequest()),
+  msUntilWindowReset: jest.fn(() => 0),
+}));
+
+jest.mock("../src/services/responseCache.js", () => ({
+  getAccountCacheKey: jest.fn((athleteId, key) => `${athleteId}:${key}`),
+  getCachedResponse: jest.fn(() => Promise.resolve(null)),
+  setCachedResponse: jest.fn(() => Promise.resolve()),
+}));
+
+global.fetch = jest.fn();
+
+// Strava API response
+const respond = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: "",
+  json: async () => body,
+});
+
 // Create mock API functions rather than trying to import the real module
 const mockAPI = {
   getStarredSegments: jest.fn(),
@@ -138,3 +172,341 @@ describe("API Module", () => {
     expect(gpx).toContain(name);
   });
 });
+
+describe("API Module segment tracks", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test("should combine the segment streams into points", async () => {
+    fetch.mockResolvedValueOnce(
+      respond({
+        latlng: {
+          data: [
+            [45.1, 6.1],
+            [45.2, 6.2],
+            [45.3, 6.3],
+          ],
+        },
+        altitude: { data: [1000, 1010] },
+        distance: { data: [0, 150, 300] },
+      })
+    );
+
+    const track = await getSegmentTrack(1);
+
+    expect(fetch).toHaveBeenCalledWith(
+      "https://www.strava.com/api/v3/segments/1/streams?keys=latlng,altitude,distance&key_by_type=true",
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          Authorization: "Bearer test_access_token",
+        }),
+      })
+    );
+    expect(track).toEqual([
+      [45.1, 6.1, 1000, 0],
+      [45.2, 6.2, 1010, 150],
+      [45.3, 6.3, null, 300],
+    ]);
+  });
+
+  test("should fall back to the polyline when the streams are unavailable", async () => {
+    fetch
+      .mockResolvedValueOnce(respond({ message: "Record Not Found" }, 404))
+      .mockResolvedValueOnce(respond(mockSegmentDetails));
+
+    const track = await getSegmentTrack(12345);
+
+    expect(fetch).toHaveBeenLastCalledWith(
+      "https://www.strava.com/api/v3/segments/12345",
+      expect.anything()
+    );
+    expect(track).toEqual([
+      [38.5, -120.2],
+      [40.7, -120.95],
+      [43.252, -126.453],
+    ]);
+  });
+
+  test("should fall back to the polyline when the streams are empty", async () => {
+    fetch
+      .mockResolvedValueOnce(respond({}))
+      .mockResolvedValueOnce(respond(mockSegmentDetails));
+
+    expect(await getSegmentTrack(12345)).toHaveLength(3);
+  });
+
+  test("should not fall back when the request is not authorized", async () => {
+    fetch.mockResolvedValueOnce(respond({}, 401));
+
+    await expect(getSegmentTrack(12345)).rejects.toMatchObject({
+      code: "AUTH_REQUIRED",
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("should leave out the elevation in GPX when it is unknown", () => {
+    const gpx = convertToGPX(
+      [
+        [45.1, 6.1, 1000, 0],
+        [45.2, 6.2, null, 150],
+        [45.3, 6.3],
+      ],
+      "Alpe d'Huez & co"
+    );
+
+    expect(gpx).toContain('creator="Strava Plugin v0.1.0"');
+    expect(gpx).toContain("<name>Alpe d&apos;Huez &amp; co</name>");
+    expect(gpx.match(/<trkpt /g)).toHaveLength(3);
+    expect(gpx.match(/<ele>/g)).toHaveLength(1);
+    expect(gpx).toContain("<ele>1000</ele>");
+  });
+});
+
+describe("API Module TCX export", () => {
+  const startTime = new Date("2024-03-01T08:00:00Z");
+  const points = [
+    [45.1, 6.1, 1000, 0],
+    [45.2, 6.2, null, 500],
+    [45.3, 6.3, 1020, 1000],
+  ];
+
+  const parse = (tcx) =>
+    new DOMParser().parseFromString(tcx, "application/xml");
+
+  const childNames = (element) =>
+    Array.from(element.children).map((child) => child.tagName);
+
+  test("should write the elements in schema order", () => {
+    const doc = parse(convertToTCX(points, "Col", { startTime, speed: 5 }));
+
+    expect(childNames(doc.querySelector("Course"))).toEqual([
+      "Name",
+      "Lap",
+      "Track",
+      "CoursePoint",
+      "CoursePoint",
+    ]);
+    expect(childNames(doc.querySelector("Lap"))).toEqual([
+      "TotalTimeSeconds",
+      "DistanceMeters",
+      "BeginPosition",
+      "EndPosition",
+      "Intensity",
+    ]);
+
+    const trackpoints = doc.querySelectorAll("Trackpoint");
+    expect(childNames(trackpoints[0])).toEqual([
+      "Time",
+      "Position",
+      "AltitudeMeters",
+      "DistanceMeters",
+    ]);
+    // Unknown elevation is left out rather than written as 0
+    expect(childNames(trackpoints[1])).toEqual([
+      "Time",
+      "Position",
+      "DistanceMeters",
+    ]);
+  });
+
+  test("should limit the course name to 15 characters", () => {
+    const doc = parse(convertToTCX(points, "Alpe d'Huez from Bourg"));
+
+    expect(doc.querySelector("Course > Name").textContent).toBe(
+      "Alpe d'Huez fro"
+    );
+  });
+
+  test("should time the points and course points from the distance", () => {
+    const doc = parse(convertToTCX(points, "Col", { startTime, speed: 5 }));
+    const times = (selector) =>
+      Array.from(doc.querySelectorAll(selector)).map(
+        (element) => element.textContent
+      );
+
+    expect(times("Trackpoint > Time")).toEqual([
+      "2024-03-01T08:00:00Z",
+      "2024-03-01T08:01:40Z",
+      "2024-03-01T08:03:20Z",
+    ]);
+    expect(times("CoursePoint > Name")).toEqual(["Start", "Finish"]);
+    expect(times("CoursePoint > Time")).toEqual([
+      "2024-03-01T08:00:00Z",
+      "2024-03-01T08:03:20Z",
+    ]);
+    expect(doc.querySelector("Lap > TotalTimeSeconds").textContent).toBe(
+      "200.0"
+    );
+  });
+
+  test("should work out distances for points without one", () => {
+    const doc = parse(
+      convertToTCX(
+        [
+          [45, 6],
+          [45.001, 6],
+        ],
+        "Col",
+        { startTime, speed: 5 }
+      )
+    );
+    const distances = Array.from(
+      doc.querySelectorAll("Trackpoint > DistanceMeters")
+    ).map((element) => Number(element.textContent));
+
+    expect(distances[0]).toBe(0);
+    expect(distances[1]).toBeCloseTo(111.2, 0);
+  });
+});
+
+describe("API Module FIT export", () => {
+  const startTime = new Date("2024-03-01T08:00:00Z");
+  const points = [
+    [45.1, 6.1, 1000, 0],
+    [45.3, 6.3, 1020, 1000],
+  ];
+
+  const course = (sport) =>
+    encodeFitCourse(points, { name: "Col", startTime, speed: 5, sport });
+
+  test("should take the sport from the segment's activity type", () => {
+    const convert = (activityType) =>
+      convertToFIT(points, "Col", { startTime, speed: 5, activityType });
+
+    expect(convert("Ride")).toEqual(course(FitSport.CYCLING));
+    expect(convert("Run")).toEqual(course(FitSport.RUNNING));
+    expect(convert(undefined)).toEqual(course(FitSport.GENERIC));
+  });
+});
+
+describe("API Module GeoJSON and KML export", () => {
+  const items = [
+    {
+      segment: {
+        id: 1,
+        name: "Côte <Nord> & Sud",
+        distance: 1200,
+        average_grade: 4.5,
+        city: "Lyon",
+      },
+      coordinates: [
+        [45.1, 6.1, 1000, 0],
+        [45.2, 6.2, null, 150],
+      ],
+    },
+    { segment: { id: 2 }, coordinates: [[45.3, 6.3]] },
+  ];
+
+  test("should write GeoJSON positions as longitude, latitude", () => {
+    const { type, features } = JSON.parse(convertToGeoJSON(items));
+
+    expect(type).toBe("FeatureCollection");
+    expect(features[0]).toEqual({
+      type: "Feature",
+      id: 1,
+      properties: {
+        id: 1,
+        name: "Côte <Nord> & Sud",
+        distance: 1200,
+        average_grade: 4.5,
+        city: "Lyon",
+      },
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [6.1, 45.1, 1000],
+          [6.2, 45.2],
+        ],
+      },
+    });
+    expect(features[1].properties).toEqual({
+      id: 2,
+      name: null,
+      distance: null,
+      average_grade: null,
+      city: null,
+    });
+  });
+
+  test("should escape segment names in KML", () => {
+    const kml = convertToKML(items, "My & Segments");
+    const doc = new DOMParser().parseFromString(kml, "application/xml");
+    const placemarks = doc.querySelectorAll("Placemark");
+
+    expect(doc.querySelector("parsererror")).toBeNull();
+    expect(kml).toContain("<name>Côte &lt;Nord&gt; &amp; Sud</name>");
+    expect(doc.querySelector("Document > name").textContent).toBe(
+      "My & Segments"
+    );
+    expect(placemarks[0].querySelector("name").textContent).toBe(
+      "Côte <Nord> & Sud"
+    );
+    expect(placemarks[1].querySelector("name").textContent).toBe("Segment 2");
+    expect(placemarks[0].querySelector("coordinates").textContent).toBe(
+      "6.1,45.1,1000 6.2,45.2"
+    );
+    expect(placemarks[1].querySelectorAll("ExtendedData > Data")).toHaveLength(
+      1
+    );
+  });
+});
+
+describe("API Module starred segments", () => {
+  const page = (start, length) =>
+    Array.from({ length }, (_, i) => ({ id: start + i }));
+
+  const collect = async (pages) => {
+    const result = [];
+    for await (const segments of pages) {
+      result.push(segments.map(({ id }) => id));
+    }
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should request pages until a short page comes back", async () => {
+    fetch
+      .mockResolvedValueOnce(respond(page(1, 2)))
+      .mockResolvedValueOnce(respond(page(3, 2)))
+      .mockResolvedValueOnce(respond(page(5, 1)));
+
+    const pages = await collect(getAllStarredSegments(2));
+
+    expect(pages).toEqual([[1, 2], [3, 4], [5]]);
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      "https://www.strava.com/api/v3/segments/starred?page=1&per_page=2",
+      "https://www.strava.com/api/v3/segments/starred?page=2&per_page=2",
+      "https://www.strava.com/api/v3/segments/starred?page=3&per_page=2",
+    ]);
+  });
+
+  test("should stop at an empty page without yielding it", async () => {
+    fetch
+      .mockResolvedValueOnce(respond(page(1, 2)))
+      .mockResolvedValueOnce(respond([]));
+
+    expect(await collect(getAllStarredSegments(2))).toEqual([[1, 2]]);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("should yield nothing without starred segments", async () => {
+    fetch.mockResolvedValueOnce(respond([]));
+
+    expect(await collect(getAllStarredSegments())).toEqual([]);
+    expect(fetch).toHaveBeenCalledWith(
+      "https://www.strava.com/api/v3/segments/starred?page=1&per_page=200",
+      expect.anything()
+    );
+  });
+});
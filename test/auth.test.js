@@ -9,6 +9,17 @@ const mockAuth = {
   logout: jest.fn(),
 };
 
+// Stand-in for WebCrypto and IndexedDB, which jsdom does not provide;
+// "encrypted" tokens stay readable so tests can inspect them
+jest.mock("../src/services/tokenCrypto.js", () => ({
+  encryptTokens: jest.fn(async (tokens) => ({
+    iv: "test_iv",
+    data: JSON.stringify(tokens),
+  })),
+  decryptTokens: jest.fn(async (encrypted) => JSON.parse(encrypted.data)),
+  deleteTokenKey: jest.fn(async () => true),
+}));
+
 // Mock fetch API
 global.fetch = jest.fn();
 
@@ -28,10 +39,33 @@ global.chrome = {
     },
   },
   runtime: {
+    getManifest: jest.fn(() => ({ version: "0.1.0" })),
+    sendMessage: jest.fn(),
     lastError: null,
   },
 };
 
+// Backs the chrome.storage.local mocks with a plain object
+const useMemoryStorage = () => {
+  const store = {};
+  chrome.storage.local.get.mockImplementation((keys, callback) => {
+    const result = {};
+    (keys || Object.keys(store)).forEach((key) => {
+      if (key in store) result[key] = store[key];
+    });
+    callback(result);
+  });
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.assign(store, items);
+    callback();
+  });
+  chrome.storage.local.remove.mockImplementation((keys, callback) => {
+    keys.forEach((key) => delete store[key]);
+    callback();
+  });
+  return store;
+};
+
 describe("Auth Module", () => {
   // Reset all mocks before each test
   beforeEach(() => {
@@ -167,3 +201,681 @@ describe("Auth Module", () => {
     });
   });
 });
+
+describe("Auth Module redirect validation", () => {
+  const auth = jest.requireActual("../src/auth.js");
+  const { OAuthStateError, RedirectMismatchError } =
+    jest.requireActual("../src/errors.js");
+
+  const redirectUrl = "chrome-extension://abcdefg/oauth-callback";
+  let store;
+
+  // Storage keys of the OAuth states of unfinished logins
+  const pendingStates = () =>
+    Object.keys(store).filter((key) => key.startsWith("strava_oauth_state"));
+
+  // Responds to the login popup with the URL built from the authorize URL
+  const respondWith = (buildRedirect) => {
+    chrome.identity.launchWebAuthFlow.mockImplementation(
+      ({ url }, callback) => {
+        const state = new URL(url).searchParams.get("state");
+        callback(buildRedirect(state));
+      }
+    );
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+
+    store = useMemoryStorage();
+
+    fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        access_token: "test_access_token",
+        refresh_token: "test_refresh_token",
+        expires_in: 21600,
+        athlete: { id: 42, firstname: "Test", lastname: "Athlete" },
+      }),
+    });
+  });
+
+  test("should send a random state and accept a matching redirect", async () => {
+    const states = [];
+    respondWith((state) => {
+      states.push(state);
+      return `${redirectUrl}?state=${state}&code=test_code`;
+    });
+
+    await auth.authenticate();
+    await auth.logout();
+    await auth.authenticate();
+
+    expect(states[0]).toMatch(/^[0-9a-f]{32}$/);
+    expect(states[1]).not.toBe(states[0]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).code).toBe("test_code");
+    expect(pendingStates()).toEqual([]);
+  });
+
+  test("should reject a redirect with a tampered state", async () => {
+    respondWith(() => `${redirectUrl}?state=forged&code=test_code`);
+
+    await expect(auth.authenticate()).rejects.toBeInstanceOf(OAuthStateError);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("should reject a redirect without a state", async () => {
+    respondWith(() => `${redirectUrl}?code=test_code`);
+
+    await expect(auth.authenticate()).rejects.toBeInstanceOf(OAuthStateError);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("should reject a replayed redirect", async () => {
+    let firstRedirect;
+    respondWith((state) => {
+      firstRedirect = `${redirectUrl}?state=${state}&code=test_code`;
+      return firstRedirect;
+    });
+    await auth.authenticate();
+
+    // The same redirect arrives again for a new login
+    respondWith(() => firstRedirect);
+
+    await expect(auth.authenticate()).rejects.toBeInstanceOf(OAuthStateError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("should reject a redirect that arrives after the state expired", async () => {
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValueOnce(now);
+    respondWith((state) => {
+      Date.now.mockReturnValue(now + 11 * 60 * 1000);
+      return `${redirectUrl}?state=${state}&code=test_code`;
+    });
+
+    try {
+      await expect(auth.authenticate()).rejects.toBeInstanceOf(OAuthStateError);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test.each([
+    ["another origin", "https://attacker.example/oauth-callback"],
+    ["another extension", "chrome-extension://hijklmn/oauth-callback"],
+    ["another path", "chrome-extension://abcdefg/elsewhere"],
+  ])("should reject a redirect to %s", async (_, target) => {
+    respondWith((state) => `${target}?state=${state}&code=test_code`);
+
+    await expect(auth.authenticate()).rejects.toBeInstanceOf(
+      RedirectMismatchError
+    );
+    expect(fetch).not.toHaveBeenCalled();
+    expect(pendingStates()).toEqual([]);
+  });
+
+  test("should accept logins started in two windows at once", async () => {
+    const callbacks = [];
+    chrome.identity.launchWebAuthFlow.mockImplementation(
+      ({ url }, callback) => {
+        const state = new URL(url).searchParams.get("state");
+        callbacks.push(() =>
+          callback(`${redirectUrl}?state=${state}&code=test_code`)
+        );
+      }
+    );
+
+    const first = auth.authenticate();
+    const second = auth.authenticate();
+    await new Promise((resolve) => setTimeout(resolve));
+    expect(pendingStates()).toHaveLength(2);
+
+    callbacks[1]();
+    callbacks[0]();
+
+    await expect(second).resolves.toHaveProperty("athlete.id", 42);
+    await expect(first).resolves.toHaveProperty("athlete.id", 42);
+    expect(pendingStates()).toEqual([]);
+  });
+
+  test("should remove expired states of logins that never finished", async () => {
+    store["strava_oauth_state:abandoned"] = { createdAt: 0 };
+    store.strava_oauth_state = { value: "old", createdAt: 0 };
+    store["strava_oauth_state:recent"] = { createdAt: Date.now() };
+    respondWith((state) => `${redirectUrl}?state=${state}&code=test_code`);
+
+    await auth.authenticate();
+
+    expect(pendingStates()).toEqual(["strava_oauth_state:recent"]);
+  });
+
+  test("should clear the state when the login is cancelled", async () => {
+    chrome.identity.launchWebAuthFlow.mockImplementation((_, callback) => {
+      // Chrome only sets lastError while the callback runs
+      chrome.runtime.lastError = {
+        message: "The user did not approve access.",
+      };
+      callback(undefined);
+      chrome.runtime.lastError = null;
+    });
+
+    await expect(auth.authenticate()).rejects.toThrow(
+      "The user did not approve access."
+    );
+    expect(pendingStates()).toEqual([]);
+  });
+});
+
+describe("Auth Module scopes", () => {
+  const auth = jest.requireActual("../src/auth.js");
+  const { MissingScopeError } = jest.requireActual("../src/errors.js");
+
+  const redirectUrl = "chrome-extension://abcdefg/oauth-callback";
+  let store;
+  let requestedScopes;
+
+  // Approves the login, granting the given scopes (or the requested ones)
+  const approve = (grantedScope) => {
+    chrome.identity.launchWebAuthFlow.mockImplementation(
+      ({ url }, callback) => {
+        const params = new URL(url).searchParams;
+        requestedScopes.push(params.get("scope"));
+        const scope = grantedScope ?? params.get("scope");
+        callback(
+          `${redirectUrl}?state=${params.get("state")}&code=c&scope=${scope}`
+        );
+      }
+    );
+  };
+
+  const tokenResponse = (athleteId) => ({
+    ok: true,
+    json: async () => ({
+      access_token: `token_${fetch.mock.calls.length}`,
+      refresh_token: "test_refresh_token",
+      expires_in: 21600,
+      athlete: { id: athleteId, firstname: "Test", lastname: "Athlete" },
+    }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+    requestedScopes = [];
+
+    store = useMemoryStorage();
+
+    fetch.mockImplementation(async () => tokenResponse(42));
+  });
+
+  test("should record the scopes the user granted", async () => {
+    approve("read");
+
+    const account = await auth.authenticate();
+
+    expect(account.scopes).toEqual(["read"]);
+    expect(await auth.hasScope("read")).toBe(true);
+    expect(await auth.hasScope("activity:read")).toBe(false);
+  });
+
+  test("should treat an _all scope as granting the narrower scope", async () => {
+    approve("read,activity:read_all");
+    await auth.authenticate();
+
+    expect(await auth.hasScope("activity:read")).toBe(true);
+    expect(await auth.hasScope("activity:read_all")).toBe(true);
+    expect(await auth.hasScope("profile:read_all")).toBe(false);
+  });
+
+  test("should report no scopes when logged out", async () => {
+    expect(await auth.hasScope("read")).toBe(false);
+  });
+
+  test("should ask for the missing scopes along with the granted ones", async () => {
+    approve("read");
+    const loggedIn = await auth.authenticate();
+
+    approve();
+    const account = await auth.requestScopes([
+      "read",
+      "activity:read_all",
+      "profile:read_all",
+    ]);
+
+    expect(requestedScopes[1]).toBe("read,activity:read_all,profile:read_all");
+    expect(account.scopes).toEqual([
+      "read",
+      "activity:read_all",
+      "profile:read_all",
+    ]);
+    expect(account.access_token).not.toBe(loggedIn.access_token);
+    expect(await auth.hasScope("profile:read_all")).toBe(true);
+  });
+
+  test("should not start a login when every scope is granted", async () => {
+    approve("read,activity:read");
+    await auth.authenticate();
+
+    await auth.requestScopes(["activity:read"]);
+
+    expect(chrome.identity.launchWebAuthFlow).toHaveBeenCalledTimes(1);
+  });
+
+  test("should fail when the user declines a requested scope", async () => {
+    approve("read");
+    await auth.authenticate();
+
+    approve("read");
+    const upgrade = auth.requestScopes(["activity:read_all"]);
+
+    await expect(upgrade).rejects.toBeInstanceOf(MissingScopeError);
+    await expect(upgrade).rejects.toHaveProperty("scopes", [
+      "activity:read_all",
+    ]);
+    expect(await auth.hasScope("read")).toBe(true);
+  });
+
+  test("should keep only the scopes of the new token", async () => {
+    approve("read,activity:read");
+    await auth.authenticate();
+
+    // The user unticked a scope they had granted before
+    approve("read,profile:read_all");
+    const account = await auth.requestScopes(["profile:read_all"]);
+
+    expect(requestedScopes[1]).toBe("read,activity:read,profile:read_all");
+    expect(account.scopes).toEqual(["read", "profile:read_all"]);
+    expect(await auth.hasScope("activity:read")).toBe(false);
+  });
+
+  test("should not upgrade an account with another athlete's login", async () => {
+    approve("read");
+    await auth.authenticate();
+
+    fetch.mockImplementation(async () => tokenResponse(7));
+    approve();
+
+    await expect(auth.requestScopes(["activity:read_all"])).rejects.toThrow(
+      "Strava returned a different athlete"
+    );
+    expect(await auth.hasScope("activity:read_all", 42)).toBe(false);
+    expect(await auth.getAuthData(7)).toBeNull();
+  });
+});
+
+describe("Auth Module token refresh", () => {
+  const auth = jest.requireActual("../src/auth.js");
+
+  const expired = {
+    access_token: "old_access_token",
+    refresh_token: "test_refresh_token",
+    received_at: 0,
+    expires_in: 21600,
+    athlete: { id: 42 },
+  };
+  let store;
+
+  const refreshResponse = () => ({
+    ok: true,
+    json: async () => ({
+      access_token: "new_access_token",
+      expires_in: 21600,
+    }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+
+    store = useMemoryStorage();
+    store.strava_accounts = {
+      activeAthleteId: 42,
+      accounts: { 42: { ...expired } },
+    };
+    fetch.mockImplementation(async () => refreshResponse());
+  });
+
+  test("should ask the background worker to refresh an expired token", async () => {
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      store.strava_accounts.accounts[42].access_token = "new_access_token";
+      callback({ id: message.id, ok: true, result: null });
+    });
+
+    await expect(auth.getValidAccessToken(42)).resolves.toBe(
+      "new_access_token"
+    );
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        channel: "strava-plugin",
+        type: "TOKEN_REFRESH_NEEDED",
+        payload: { athleteId: 42 },
+      }),
+      expect.any(Function)
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test("should rethrow a failed background refresh as a typed error", async () => {
+    const { BackendError } = jest.requireActual("../src/errors.js");
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      callback({
+        id: message.id,
+        ok: false,
+        error: {
+          name: "BackendError",
+          code: "BACKEND_UNAVAILABLE",
+          message: "down",
+          status: 503,
+        },
+      });
+    });
+
+    await expect(auth.getValidAccessToken(42)).rejects.toBeInstanceOf(
+      BackendError
+    );
+  });
+
+  test("should share a refresh between concurrent callers", async () => {
+    const results = await Promise.all([
+      auth.refreshAccessTokenOnce(42),
+      auth.refreshAccessTokenOnce(42),
+      auth.refreshAccessTokenOnce("42"),
+    ]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(results.map((account) => account.access_token)).toEqual([
+      "new_access_token",
+      "new_access_token",
+      "new_access_token",
+    ]);
+    expect((await auth.getAuthData(42)).access_token).toBe("new_access_token");
+  });
+
+  test("should refresh in the owning context without messaging", async () => {
+    await jest.isolateModulesAsync(async () => {
+      const ownerAuth = jest.requireActual("../src/auth.js");
+      ownerAuth.ownTokenRefresh();
+
+      await expect(ownerAuth.getValidAccessToken(42)).resolves.toBe(
+        "new_access_token"
+      );
+    });
+
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("should require a new login after a rejected refresh", async () => {
+    fetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      statusText: "Bad Request",
+      json: async () => ({ message: "Invalid refresh token" }),
+    });
+
+    await expect(auth.refreshAccessToken(42)).rejects.toThrow(
+      "Token refresh failed: Invalid refresh token"
+    );
+    expect(store.strava_accounts.accounts[42].needs_reauth).toBe(true);
+
+    await expect(auth.getValidAccessToken(42)).rejects.toThrow(
+      "Please log in again"
+    );
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test("should keep the session after a network failure", async () => {
+    fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+
+    await expect(auth.refreshAccessToken(42)).rejects.toThrow(
+      "Network request failed"
+    );
+    expect(store.strava_accounts.accounts[42].needs_reauth).toBeUndefined();
+  });
+});
+
+describe("Auth Module logout", () => {
+  const auth = jest.requireActual("../src/auth.js");
+
+  const account = (id) => ({
+    access_token: `access_token_${id}`,
+    refresh_token: `refresh_token_${id}`,
+    received_at: Math.floor(Date.now() / 1000),
+    expires_in: 21600,
+    athlete: { id, firstname: "Test", lastname: `Athlete ${id}` },
+  });
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+
+    store = useMemoryStorage();
+    store.strava_accounts = {
+      activeAthleteId: 42,
+      accounts: { 42: account(42), 7: account(7) },
+    };
+    store["strava_cache:athlete:42:/athlete"] = { value: {} };
+    store["strava_cache:athlete:7:/athlete"] = { value: {} };
+    fetch.mockResolvedValue({ ok: true, json: async () => ({}) });
+  });
+
+  test("should revoke access and remove the account's data", async () => {
+    const result = await auth.logout();
+
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringMatching(/\/deauthorize$/),
+      expect.objectContaining({
+        body: JSON.stringify({ access_token: "access_token_42" }),
+      })
+    );
+    expect(result).toMatchObject({
+      revoked: true,
+      cachedResponses: 1,
+      activeAthleteId: 7,
+    });
+    expect(store.strava_accounts.accounts[42]).toBeUndefined();
+    expect(store["strava_cache:athlete:42:/athlete"]).toBeUndefined();
+    expect(store["strava_cache:athlete:7:/athlete"]).toBeDefined();
+  });
+
+  test("should remove local data even when Strava cannot be reached", async () => {
+    fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+
+    const result = await auth.logout(7);
+
+    expect(result.revoked).toBe(false);
+    expect(result.revokeError.code).toBe("NETWORK_ERROR");
+    expect(store.strava_accounts.accounts[7]).toBeUndefined();
+    expect(store.strava_accounts.activeAthleteId).toBe(42);
+  });
+});
+
+describe("Auth Module accounts", () => {
+  const auth = jest.requireActual("../src/auth.js");
+  const tokenCrypto = require("../src/services/tokenCrypto.js");
+
+  const account = (id) => ({
+    access_token: `access_token_${id}`,
+    refresh_token: `refresh_token_${id}`,
+    received_at: Math.floor(Date.now() / 1000),
+    expires_in: 21600,
+    athlete: { id, firstname: "Test", lastname: `Athlete ${id}` },
+  });
+  let store;
+
+  // Stand-in for the Web Locks API, which jsdom does not provide
+  const useLocks = () => {
+    const tails = new Map();
+    Object.defineProperty(navigator, "locks", {
+      configurable: true,
+      value: {
+        request: jest.fn((name, callback) => {
+          const result = (tails.get(name) || Promise.resolve()).then(() =>
+            callback()
+          );
+          tails.set(
+            name,
+            result.catch(() => {})
+          );
+          return result;
+        }),
+      },
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+    store = useMemoryStorage();
+  });
+
+  afterEach(() => {
+    delete navigator.locks;
+  });
+
+  test("should migrate the token record of older versions", async () => {
+    store.strava_auth_data = account(42);
+
+    const accounts = await auth.getAccounts();
+
+    expect(accounts).toEqual([
+      expect.objectContaining({ id: 42, isActive: true }),
+    ]);
+    expect(store.strava_auth_data).toBeUndefined();
+    expect(store.strava_accounts.accounts[42]).not.toHaveProperty(
+      "access_token"
+    );
+    expect((await auth.getAuthData(42)).access_token).toBe("access_token_42");
+  });
+
+  test("should add a migrated account without changing the active one", async () => {
+    store.strava_accounts = {
+      activeAthleteId: 7,
+      accounts: { 7: account(7) },
+    };
+    store.strava_auth_data = account(42);
+
+    expect(await auth.getActiveAthleteId()).toBe(7);
+    expect(Object.keys(store.strava_accounts.accounts)).toEqual(["7", "42"]);
+  });
+
+  test("should drop a legacy record without an athlete", async () => {
+    store.strava_auth_data = { ...account(42), athlete: undefined };
+
+    expect(await auth.getAccounts()).toEqual([]);
+    expect(store.strava_auth_data).toBeUndefined();
+  });
+
+  test("should switch to another logged-in account", async () => {
+    store.strava_accounts = {
+      activeAthleteId: 42,
+      accounts: { 42: account(42), 7: account(7) },
+    };
+
+    await auth.setActiveAccount("7");
+
+    expect(await auth.getActiveAthleteId()).toBe(7);
+    expect((await auth.getAuthData()).access_token).toBe("access_token_7");
+    await expect(auth.setActiveAccount(99)).rejects.toThrow(
+      "Account 99 is not logged in."
+    );
+    expect(await auth.getActiveAthleteId()).toBe(7);
+  });
+
+  test("should not lose an update made by another page", async () => {
+    useLocks();
+    store.strava_accounts = {
+      activeAthleteId: 42,
+      accounts: { 42: account(42), 7: account(7) },
+    };
+    // Sealing the plain text tokens takes a while in the first page
+    tokenCrypto.encryptTokens.mockImplementationOnce(
+      (tokens) =>
+        new Promise((resolve) =>
+          setTimeout(
+            () => resolve({ iv: "test_iv", data: JSON.stringify(tokens) }),
+            10
+          )
+        )
+    );
+
+    let otherPage;
+    jest.isolateModules(() => {
+      otherPage = jest.requireActual("../src/auth.js");
+    });
+    await Promise.all([auth.getAuthData(), otherPage.setActiveAccount(7)]);
+
+    expect(store.strava_accounts.activeAthleteId).toBe(7);
+    expect(navigator.locks.request).toHaveBeenCalledWith(
+      "strava_accounts",
+      expect.any(Function)
+    );
+  });
+});
+
+describe("Auth Module token encryption", () => {
+  const auth = jest.requireActual("../src/auth.js");
+  const tokenCrypto = require("../src/services/tokenCrypto.js");
+  const { TokenDecryptionError } = jest.requireActual("../src/errors.js");
+
+  const plainAccount = {
+    access_token: "test_access_token",
+    refresh_token: "test_refresh_token",
+    received_at: Math.floor(Date.now() / 1000),
+    expires_in: 21600,
+    athlete: { id: 42 },
+  };
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+    store = useMemoryStorage();
+  });
+
+  test("should encrypt plain text tokens when they are first read", async () => {
+    store.strava_accounts = {
+      activeAthleteId: 42,
+      accounts: { 42: { ...plainAccount } },
+    };
+
+    const authData = await auth.getAuthData();
+    const stored = store.strava_accounts.accounts[42];
+
+    expect(authData.access_token).toBe("test_access_token");
+    expect(stored).not.toHaveProperty("access_token");
+    expect(stored).not.toHaveProperty("refresh_token");
+    expect(tokenCrypto.encryptTokens).toHaveBeenCalledWith({
+      access_token: "test_access_token",
+      refresh_token: "test_refresh_token",
+    });
+    expect((await auth.getAuthData()).refresh_token).toBe("test_refresh_token");
+  });
+
+  test("should require a new login when tokens cannot be decrypted", async () => {
+    store.strava_accounts = {
+      activeAthleteId: 42,
+      accounts: {
+        42: {
+          received_at: plainAccount.received_at,
+          expires_in: plainAccount.expires_in,
+          athlete: plainAccount.athlete,
+          encrypted_tokens: { iv: "test_iv", data: "{}" },
+        },
+      },
+    };
+    tokenCrypto.decryptTokens.mockRejectedValueOnce(new TokenDecryptionError());
+
+    const authData = await auth.getAuthData();
+
+    expect(authData.needs_reauth).toBe(true);
+    expect(authData).not.toHaveProperty("access_token");
+    expect(store.strava_accounts.accounts[42].needs_reauth).toBe(true);
+    await expect(auth.getValidAccessToken()).rejects.toThrow(
+      "Please log in again"
+    );
+  });
+});
@@ -0,0 +1,166 @@
+// test/authEvents.test.js - Tests for authEvents.js
+import {
+  AuthEventType,
+  getAuthEvents,
+  onAuthChange,
+} from "../src/authEvents.js";
+
+// Event APIs, on top of the shared chrome mock from setup.js
+chrome.storage.onChanged = {
+  addListener: jest.fn(),
+  removeListener: jest.fn(),
+};
+chrome.runtime.onMessage = {
+  addListener: jest.fn(),
+  removeListener: jest.fn(),
+};
+
+const account = (id, extra = {}) => ({
+  athlete: { id, firstname: "Test", lastname: `Rider ${id}` },
+  ...extra,
+});
+
+const registry = (activeAthleteId, ...accounts) => ({
+  activeAthleteId,
+  accounts: Object.fromEntries(accounts.map((a) => [a.athlete.id, a])),
+});
+
+describe("Auth Events", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should report a first login", () => {
+    expect(getAuthEvents(undefined, registry(42, account(42)))).toEqual([
+      { type: AuthEventType.LOGGED_IN, athleteId: 42, activeAthleteId: 42 },
+    ]);
+  });
+
+  test("should report adding an account without a separate switch", () => {
+    const events = getAuthEvents(
+      registry(42, account(42)),
+      registry(7, account(42), account(7))
+    );
+
+    expect(events).toEqual([
+      { type: AuthEventType.LOGGED_IN, athleteId: 7, activeAthleteId: 7 },
+    ]);
+  });
+
+  test("should report switching accounts", () => {
+    const events = getAuthEvents(
+      registry(42, account(42), account(7)),
+      registry(7, account(42), account(7))
+    );
+
+    expect(events).toEqual([
+      {
+        type: AuthEventType.ACCOUNT_SWITCHED,
+        athleteId: 7,
+        activeAthleteId: 7,
+      },
+    ]);
+  });
+
+  test("should report logging out the active account", () => {
+    const events = getAuthEvents(
+      registry(42, account(42), account(7)),
+      registry(7, account(7))
+    );
+
+    expect(events).toEqual([
+      { type: AuthEventType.LOGGED_OUT, athleteId: 42, activeAthleteId: 7 },
+      {
+        type: AuthEventType.ACCOUNT_SWITCHED,
+        athleteId: 7,
+        activeAthleteId: 7,
+      },
+    ]);
+  });
+
+  test("should report every account when all data is deleted", () => {
+    const events = getAuthEvents(
+      registry(42, account(42), account(7)),
+      undefined
+    );
+
+    expect(events.map(({ type, athleteId }) => [type, athleteId])).toEqual([
+      [AuthEventType.LOGGED_OUT, 7],
+      [AuthEventType.LOGGED_OUT, 42],
+    ]);
+    expect(events.every((event) => event.activeAthleteId === null)).toBe(true);
+  });
+
+  test("should report logging in again after a session expired", () => {
+    const events = getAuthEvents(
+      registry(42, account(42, { needs_reauth: true })),
+      registry(42, account(42))
+    );
+
+    expect(events).toEqual([
+      { type: AuthEventType.LOGGED_IN, athleteId: 42, activeAthleteId: 42 },
+    ]);
+  });
+
+  test("should ignore token updates", () => {
+    const events = getAuthEvents(
+      registry(42, account(42, { received_at: 1 })),
+      registry(42, account(42, { received_at: 2 }))
+    );
+
+    expect(events).toEqual([]);
+  });
+
+  test("should pass on storage changes to the account registry", () => {
+    const listener = jest.fn();
+    onAuthChange(listener);
+    const [handleChange] = chrome.storage.onChanged.addListener.mock.calls[0];
+
+    handleChange({ other_key: { newValue: 1 } }, "local");
+    handleChange(
+      { strava_accounts: { newValue: registry(42, account(42)) } },
+      "local"
+    );
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ type: AuthEventType.LOGGED_IN, athleteId: 42 })
+    );
+  });
+
+  test("should pass on refresh results from the background worker", async () => {
+    chrome.storage.local.get.mockImplementation((keys, callback) =>
+      callback({ strava_accounts: registry(42, account(42)) })
+    );
+    const listener = jest.fn();
+    onAuthChange(listener);
+    const [handleMessage] = chrome.runtime.onMessage.addListener.mock.calls[0];
+
+    expect(handleMessage({ type: "AUTH_CHECK" })).toBe(false);
+    handleMessage({
+      type: AuthEventType.TOKEN_REFRESH_FAILED,
+      athleteId: 42,
+      needsReauth: true,
+    });
+    await new Promise((resolve) => setTimeout(resolve));
+
+    expect(listener).toHaveBeenCalledWith({
+      type: AuthEventType.TOKEN_REFRESH_FAILED,
+      athleteId: 42,
+      activeAthleteId: 42,
+      needsReauth: true,
+    });
+  });
+
+  test("should stop listening when unsubscribed", () => {
+    const unsubscribe = onAuthChange(jest.fn());
+    unsubscribe();
+
+    expect(chrome.storage.onChanged.removeListener).toHaveBeenCalledWith(
+      chrome.storage.onChanged.addListener.mock.calls[0][0]
+    );
+    expect(chrome.runtime.onMessage.removeListener).toHaveBeenCalledWith(
+      chrome.runtime.onMessage.addListener.mock.calls[0][0]
+    );
+  });
+});
@@ -0,0 +1,97 @@
+// test/bulkExport.test.js - Tests for bulkExport.js
+import { exportSegmentsAsZip } from "../src/services/bulkExport.js";
+import { getSegmentTrack } from "../src/api.js";
+import { createZip } from "../src/services/zipWriter.js";
+
+jest.mock("../src/api.js", () => ({
+  getSegmentTrack: jest.fn(),
+}));
+
+jest.mock("../src/services/zipWriter.js", () => ({
+  createZip: jest.fn(() => new Uint8Array(0)),
+}));
+
+const format = {
+  extension: "gpx",
+  multiple: false,
+  serialize: (coordinates, name) => `${name}:${coordinates.length}`,
+};
+
+const segments = [
+  { id: 1, name: "Col du Café", distance: 1200 },
+  { id: 2, name: "Col du Café" },
+  { id: 3, name: "Missing" },
+];
+
+describe("Bulk Export", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test("should add one file per segment and a manifest", async () => {
+    getSegmentTrack.mockImplementation(async (id) => {
+      if (id === 3) throw new Error("Not found");
+      return [[45, 6]];
+    });
+    const onProgress = jest.fn();
+
+    await exportSegmentsAsZip(segments, format, { onProgress });
+
+    const files = createZip.mock.calls[0][0];
+    expect(files.map(({ name }) => name)).toEqual([
+      "Col du Café.gpx",
+      "Col du Café (2).gpx",
+      "manifest.csv",
+    ]);
+    expect(files[2].content.split("\r\n")).toEqual([
+      "id,name,file,distance_m,average_grade,city,status",
+      "1,Col du Café,Col du Café.gpx,1200,,,ok",
+      "2,Col du Café,Col du Café (2).gpx,,,,ok",
+      "3,Missing,,,,,error: Not found",
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+  });
+
+  test("should pass the activity type of each segment to the format", async () => {
+    const serialize = jest.fn(() => "");
+    getSegmentTrack.mockResolvedValue([[45, 6]]);
+
+    await exportSegmentsAsZip(
+      [{ id: 4, name: "Stairs", activity_type: "Run" }],
+      { ...format, serialize }
+    );
+
+    expect(serialize).toHaveBeenCalledWith([[45, 6]], "Stairs", {
+      activityType: "Run",
+    });
+  });
+
+  test("should cancel the segment requests still running", async () => {
+    const controller = new AbortController();
+    getSegmentTrack.mockImplementation(
+      (id, { signal }) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () =>
+            reject(new DOMException("Request cancelled", "AbortError"))
+          );
+        })
+    );
+
+    const exported = exportSegmentsAsZip(segments, format, {
+      signal: controller.signal,
+    });
+    controller.abort();
+
+    await expect(exported).rejects.toMatchObject({ name: "AbortError" });
+    expect(getSegmentTrack).toHaveBeenCalledWith(1, {
+      signal: controller.signal,
+    });
+    expect(createZip).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+// test/cyclingModel.test.js - Tests for cyclingModel.js
+import {
+  airDensity,
+  powerForSpeed,
+  speedForPower,
+  estimateCourseTime,
+  formatTimeDelta,
+} from "../src/services/cyclingModel.js";
+import { between, forAll } from "./fixtures/randomRoutes.js";
+
+const profile = { mass: 80, cda: 0.32, crr: 0.005, power: 200 };
+const flat = { grade: 0, headwind: 0, density: 1.225 };
+
+// A straight kilometer heading east
+const course = { legs: [{ bearing: 90, length: 1000 }], grade: 0, altitude: 0 };
+
+describe("Cycling Model", () => {
+  test("should give the standard air density", () => {
+    expect(airDensity(15, 0)).toBeCloseTo(1.225, 3);
+    // Thinner air higher up, at the same temperature
+    expect(airDensity(15, 2000)).toBeCloseTo(0.961, 3);
+    expect(airDensity(35, 0)).toBeLessThan(airDensity(5, 0));
+  });
+
+  test("should find a realistic speed on the flat", () => {
+    const speed = speedForPower(flat, profile);
+
+    // About 33 km/h for 200 W
+    expect(speed * 3.6).toBeGreaterThan(32);
+    expect(speed * 3.6).toBeLessThan(35);
+  });
+
+  test("should balance the power at the speed found", () => {
+    forAll(200, (random) => {
+      const conditions = {
+        grade: between(random, -0.05, 0.12),
+        headwind: between(random, -10, 10),
+        density: between(random, 1, 1.3),
+      };
+      const rider = { ...profile, power: between(random, 100, 400) };
+      const speed = speedForPower(conditions, rider);
+
+      expect(powerForSpeed(speed, conditions, rider)).toBeCloseTo(
+        rider.power,
+        2
+      );
+    });
+  });
+
+  test("should ride faster with a tailwind and slower into a headwind", () => {
+    const estimate = (deg) =>
+      estimateCourseTime(
+        course,
+        { wind: { speed: 5, deg }, temperature: 15 },
+        profile
+      );
+
+    const tailwind = estimate(270);
+    const headwind = estimate(90);
+    const crosswind = estimate(0);
+
+    expect(tailwind.delta).toBeLessThan(-10);
+    expect(headwind.delta).toBeGreaterThan(10);
+    // Headwinds cost more time than tailwinds save
+    expect(headwind.delta).toBeGreaterThan(-tailwind.delta);
+    expect(crosswind.delta).toBeCloseTo(0, 6);
+    expect(tailwind.stillAirTime).toBeCloseTo(headwind.stillAirTime, 6);
+  });
+
+  test("should matter less on a climb", () => {
+    const weather = { wind: { speed: 5, deg: 90 }, temperature: 15 };
+    const relativeDelta = (grade) => {
+      const { delta, stillAirTime } = estimateCourseTime(
+        { ...course, grade },
+        weather,
+        profile
+      );
+      return delta / stillAirTime;
+    };
+
+    expect(relativeDelta(0.08)).toBeLessThan(relativeDelta(0) / 2);
+  });
+
+  test("should estimate nothing without legs", () => {
+    expect(
+      estimateCourseTime({ legs: [] }, { wind: null, temperature: 15 }, profile)
+    ).toBeNull();
+  });
+
+  test("should format time differences", () => {
+    expect(formatTimeDelta(-12.4)).toBe("-12 s");
+    expect(formatTimeDelta(8.6)).toBe("+9 s");
+    expect(formatTimeDelta(0.3)).toBe("±0 s");
+  });
+});
@@ -0,0 +1,88 @@
+// test/effortHistory.test.js - Tests for effortHistory.js
+import {
+  summarizeEfforts,
+  formatDuration,
+  formatGap,
+} from "../src/services/effortHistory.js";
+
+const effort = (id, date, elapsedTime) => ({
+  id,
+  activity: { id: id * 10 },
+  start_date: `${date}T08:00:00Z`,
+  start_date_local: `${date}T09:00:00Z`,
+  elapsed_time: elapsedTime,
+});
+
+describe("Effort History", () => {
+  test("should list efforts oldest first with their gap to the PR", () => {
+    const summary = summarizeEfforts([
+      effort(3, "2024-03-01", 290),
+      effort(1, "2024-01-01", 320),
+      effort(2, "2024-02-01", 300),
+      effort(4, "2024-04-01", 305),
+    ]);
+
+    expect(summary.prTime).toBe(290);
+    expect(summary.prDate).toBe("2024-03-01T09:00:00Z");
+    expect(summary.pr).toEqual({
+      id: 3,
+      date: "2024-03-01T09:00:00Z",
+      elapsedTime: 290,
+    });
+    expect(summary.effortCount).toBe(4);
+    expect(summary.progression.map((e) => e.id)).toEqual([1, 2, 3, 4]);
+    expect(summary.progression.map((e) => e.gapToPr)).toEqual([30, 10, 0, 15]);
+    expect(summary.progression.map((e) => e.isPr)).toEqual([
+      true,
+      true,
+      true,
+      false,
+    ]);
+    expect(summary.latest).toMatchObject({
+      id: 4,
+      activityId: 40,
+      gapToPr: 15,
+    });
+  });
+
+  test("should prefer a faster PR from the starred segment summary", () => {
+    const summary = summarizeEfforts([effort(1, "2024-01-01", 320)], {
+      pr_elapsed_time: 280,
+      pr_date: "2023-06-01",
+      effort_count: 12,
+    });
+
+    expect(summary.prTime).toBe(280);
+    expect(summary.prDate).toBe("2023-06-01");
+    expect(summary.pr).toEqual({
+      id: null,
+      date: "2023-06-01",
+      elapsedTime: 280,
+    });
+    expect(summary.effortCount).toBe(12);
+    expect(summary.latest.gapToPr).toBe(40);
+  });
+
+  test("should summarize without an effort list", () => {
+    expect(summarizeEfforts([], undefined)).toEqual({
+      prTime: null,
+      prDate: null,
+      pr: null,
+      effortCount: 0,
+      latest: null,
+      progression: [],
+    });
+    expect(
+      summarizeEfforts([], { pr_elapsed_time: 95, effort_count: 3 })
+    ).toMatchObject({ prTime: 95, effortCount: 3, latest: null });
+  });
+
+  test("should format durations and gaps", () => {
+    expect(formatDuration(59)).toBe("0:59");
+    expect(formatDuration(305)).toBe("5:05");
+    expect(formatDuration(3725)).toBe("1:02:05");
+    expect(formatGap(0)).toBe("PR");
+    expect(formatGap(14)).toBe("+0:14");
+    expect(formatGap(-3)).toBe("-0:03");
+  });
+});
@@ -0,0 +1,113 @@
+// test/effortWeather.test.js - Tests for effortWeather.js
+import { analyzeEffortsWeather } from "../src/services/effortWeather.js";
+import { getActiveAthleteId } from "../src/auth.js";
+import { getSegmentWithCache } from "../src/services/segmentService.js";
+import { getHistoricalWeather } from "../src/services/weatherApi.js";
+import {
+  getCachedResponse,
+  setCachedResponse,
+} from "../src/services/responseCache.js";
+import { BackendError, MissingPolylineError } from "../src/errors.js";
+
+jest.mock("../src/auth.js", () => ({
+  getActiveAthleteId: jest.fn(),
+}));
+jest.mock("../src/services/segmentService.js", () => ({
+  getSegmentWithCache: jest.fn(),
+}));
+jest.mock("../src/services/weatherApi.js", () => ({
+  getHistoricalWeather: jest.fn(),
+}));
+jest.mock("../src/services/responseCache.js", () => ({
+  getAccountCacheKey: (athleteId, key) => `athlete:${athleteId}:${key}`,
+  getCachedResponse: jest.fn(),
+  setCachedResponse: jest.fn(),
+}));
+
+const segment = {
+  id: 12345,
+  start_latlng: [37.7749, -122.4194],
+  direction: 90,
+  average_grade: 1,
+  distance: 1200,
+};
+
+const weather = { current: { temp: 18, humidity: 50 } };
+
+const efforts = [
+  { id: 1, start_date: "2024-03-01T08:00:00Z" },
+  { id: 2, start_date: "2024-02-01T08:00:00Z" },
+];
+
+describe("Effort Weather", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getActiveAthleteId.mockResolvedValue(42);
+    getSegmentWithCache.mockResolvedValue(segment);
+    getCachedResponse.mockResolvedValue(null);
+    setCachedResponse.mockResolvedValue();
+    getHistoricalWeather.mockResolvedValue(weather);
+  });
+
+  test("should look up the weather at the start of each effort", async () => {
+    const onResult = jest.fn();
+    const results = await analyzeEffortsWeather(efforts, 12345, { onResult });
+
+    expect(getHistoricalWeather).toHaveBeenCalledWith(
+      37.7749,
+      -122.4194,
+      1709280000
+    );
+    expect(setCachedResponse).toHaveBeenCalledWith(
+      "athlete:42:weather:37.775,-122.419:1709280000",
+      weather,
+      expect.any(Number)
+    );
+    expect(results).toHaveLength(2);
+    expect(onResult).toHaveBeenCalledTimes(2);
+    expect(results[0].analysis).toEqual(
+      expect.objectContaining({ level: expect.any(String), windEffect: "calm" })
+    );
+  });
+
+  test("should reuse cached weather", async () => {
+    getCachedResponse.mockResolvedValue({ value: weather, isStale: true });
+
+    await analyzeEffortsWeather(efforts, 12345);
+
+    expect(getHistoricalWeather).not.toHaveBeenCalled();
+  });
+
+  test("should record failed lookups without stopping the others", async () => {
+    getHistoricalWeather
+      .mockRejectedValueOnce(new BackendError("down"))
+      .mockResolvedValueOnce(weather);
+
+    const results = await analyzeEffortsWeather(efforts, 12345);
+
+    expect(results.find((r) => r.effort.id === 1).error).toBeInstanceOf(
+      BackendError
+    );
+    expect(results.find((r) => r.effort.id === 2).analysis).toBeDefined();
+  });
+
+  test("should stop looking up weather once cancelled", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const results = await analyzeEffortsWeather(efforts, 12345, {
+      signal: controller.signal,
+    });
+
+    expect(results).toEqual([]);
+    expect(getHistoricalWeather).not.toHaveBeenCalled();
+  });
+
+  test("should fail without a segment location", async () => {
+    getSegmentWithCache.mockResolvedValue({ id: 12345 });
+
+    await expect(analyzeEffortsWeather(efforts, 12345)).rejects.toBeInstanceOf(
+      MissingPolylineError
+    );
+  });
+});
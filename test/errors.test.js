@@ -0,0 +1,110 @@
+// test/errors.test.js - Tests for errors.js
+import {
+  ErrorCode,
+  StravaPluginError,
+  AuthError,
+  OAuthStateError,
+  RedirectMismatchError,
+  TokenDecryptionError,
+  MissingScopeError,
+  RateLimitError,
+  NetworkError,
+  ApiError,
+  MissingPolylineError,
+  BackendError,
+  TimeoutError,
+  getResponseErrorMessage,
+} from "../src/errors.js";
+
+describe("Errors", () => {
+  test.each([
+    [AuthError, ErrorCode.AUTH_REQUIRED],
+    [OAuthStateError, ErrorCode.AUTH_REQUIRED],
+    [RedirectMismatchError, ErrorCode.AUTH_REQUIRED],
+    [TokenDecryptionError, ErrorCode.AUTH_REQUIRED],
+    [RateLimitError, ErrorCode.RATE_LIMITED],
+    [NetworkError, ErrorCode.NETWORK_ERROR],
+    [BackendError, ErrorCode.BACKEND_UNAVAILABLE],
+    [TimeoutError, ErrorCode.TIMEOUT],
+  ])("%p should have a default message and its code", (ErrorType, code) => {
+    const error = new ErrorType();
+
+    expect(error).toBeInstanceOf(StravaPluginError);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe(ErrorType.name);
+    expect(error.code).toBe(code);
+    expect(error.message).not.toBe("");
+  });
+
+  test("should treat every login failure as an AuthError", () => {
+    [
+      new OAuthStateError(),
+      new RedirectMismatchError(),
+      new TokenDecryptionError(),
+    ].forEach((error) => expect(error).toBeInstanceOf(AuthError));
+    expect(new RateLimitError()).not.toBeInstanceOf(AuthError);
+  });
+
+  test("should keep the code of the error type over the details", () => {
+    const error = new AuthError("Expired", {
+      code: ErrorCode.API_ERROR,
+      status: 401,
+    });
+
+    expect(error.code).toBe(ErrorCode.AUTH_REQUIRED);
+    expect(error.status).toBe(401);
+    expect(error.retryAfter).toBeNull();
+  });
+
+  test("should default a rate limit to status 429 with its retry time", () => {
+    const error = new RateLimitError(undefined, { retryAfter: 90 });
+
+    expect(error.status).toBe(429);
+    expect(error.retryAfter).toBe(90);
+    expect(new RateLimitError(undefined, { status: 403 }).status).toBe(403);
+  });
+
+  test("should keep the underlying error as the cause", () => {
+    const cause = new TypeError("Failed to fetch");
+
+    expect(new NetworkError(undefined, { cause }).cause).toBe(cause);
+    expect(new NetworkError()).not.toHaveProperty("cause");
+  });
+
+  test("should describe what is missing", () => {
+    const scopeError = new MissingScopeError(["activity:read", "read_all"]);
+    const polylineError = new MissingPolylineError(42);
+
+    expect(scopeError.code).toBe(ErrorCode.MISSING_SCOPE);
+    expect(scopeError.scopes).toEqual(["activity:read", "read_all"]);
+    expect(scopeError.message).toBe(
+      "Strava access was not granted for: activity:read, read_all"
+    );
+    expect(polylineError.code).toBe(ErrorCode.MISSING_POLYLINE);
+    expect(polylineError.segmentId).toBe(42);
+    expect(new ApiError("Not Found", { status: 404 })).toMatchObject({
+      code: ErrorCode.API_ERROR,
+      status: 404,
+    });
+  });
+
+  test("should read the message from a failed response", async () => {
+    const response = (json) => ({ statusText: "Not Found", json });
+
+    expect(
+      await getResponseErrorMessage(
+        response(async () => ({ message: "Record Not Found" }))
+      )
+    ).toBe("Record Not Found");
+    expect(await getResponseErrorMessage(response(async () => ({})))).toBe(
+      "Not Found"
+    );
+    expect(
+      await getResponseErrorMessage(
+        response(async () => {
+          throw new SyntaxError("Unexpected token");
+        })
+      )
+    ).toBe("Not Found");
+  });
+});
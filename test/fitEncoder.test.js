@@ -0,0 +1,86 @@
+// test/fitEncoder.test.js - Tests for fitEncoder.js
+import fs from "fs";
+import path from "path";
+import {
+  encodeFitCourse,
+  fitCrc,
+  FitSport,
+} from "../src/services/fitEncoder.js";
+
+const readFixture = (name) =>
+  new Uint8Array(fs.readFileSync(path.join(__dirname, "fixtures", name)));
+
+const startTime = new Date(Date.UTC(2024, 0, 1));
+
+const climbPoints = [
+  [37.8317, -122.4826, 12.4, 0],
+  [37.8335, -122.4841, 48.2, 240.5],
+  [37.8349, -122.4869, 91.0, 530.1],
+];
+
+describe("FIT Encoder", () => {
+  describe("fitCrc", () => {
+    test("should match the CRC-16/ARC check value", () => {
+      const bytes = Array.from("123456789", (char) => char.charCodeAt(0));
+      expect(fitCrc(bytes)).toBe(0xbb3d);
+    });
+
+    test("should return 0 for an empty input", () => {
+      expect(fitCrc([])).toBe(0);
+    });
+  });
+
+  describe("encodeFitCourse", () => {
+    test("should encode a course with elevation byte for byte", () => {
+      const bytes = encodeFitCourse(climbPoints, {
+        name: "Hawk Hill",
+        startTime,
+        speed: 5,
+        sport: FitSport.CYCLING,
+      });
+
+      expect(bytes).toEqual(readFixture("course-climb.fit"));
+    });
+
+    test("should encode a course without elevation byte for byte", () => {
+      const bytes = encodeFitCourse(
+        [
+          [51.5, -0.12, null, 0],
+          [51.501, -0.12, null, 111.2],
+        ],
+        { name: "Embankment", startTime, speed: 4, sport: FitSport.RUNNING }
+      );
+
+      expect(bytes).toEqual(readFixture("course-no-elevation.fit"));
+    });
+
+    test("should write a valid file header", () => {
+      const bytes = encodeFitCourse(climbPoints, { startTime, speed: 5 });
+      const view = new DataView(bytes.buffer);
+
+      expect(bytes[0]).toBe(14);
+      expect(view.getUint32(4, true)).toBe(bytes.length - 16);
+      expect(String.fromCharCode(...bytes.subarray(8, 12))).toBe(".FIT");
+      expect(view.getUint16(12, true)).toBe(fitCrc(bytes.subarray(0, 12)));
+    });
+
+    test("should end with a CRC covering the whole file", () => {
+      const bytes = encodeFitCourse(climbPoints, { startTime, speed: 5 });
+
+      // Running the CRC over data followed by its own CRC yields zero
+      expect(fitCrc(bytes)).toBe(0);
+    });
+
+    test("should truncate long names without splitting characters", () => {
+      const bytes = encodeFitCourse(climbPoints, {
+        // The last "é" would need bytes 31 and 32 of the 32-byte field
+        name: "Col du Galibier par le Télégé",
+        startTime,
+        speed: 5,
+      });
+      const text = Buffer.from(bytes).toString("latin1");
+
+      expect(text).toContain("Col du Galibier par le TÃ©lÃ©g\0");
+    });
+  });
+});
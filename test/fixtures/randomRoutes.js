@@ -0,0 +1,77 @@
+// test/fixtures/randomRoutes.js - Seeded random inputs for property-based tests
+
+/**
+ * Creates a seeded random number generator (mulberry32), so that failing
+ * cases can be reproduced
+ * @param {number} seed - Seed value
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a number in [min, max)
+ * @param {Function} random - Random number generator
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Random number
+ */
+function between(random, min, max) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Creates a random point away from the poles
+ * @param {Function} random - Random number generator
+ * @returns {Array} [lat, lng]
+ */
+function randomPoint(random) {
+  return [between(random, -70, 70), between(random, -180, 180)];
+}
+
+/**
+ * Creates a random route of short legs, like a Strava segment
+ * @param {Function} random - Random number generator
+ * @param {number} maxPoints - Largest number of points
+ * @returns {Array<Array>} Route points as [lat, lng]
+ */
+function randomRoute(random, maxPoints = 50) {
+  const count = 2 + Math.floor(random() * (maxPoints - 1));
+  const route = [randomPoint(random)];
+
+  while (route.length < count) {
+    const [lat, lng] = route[route.length - 1];
+    route.push([
+      lat + between(random, -0.005, 0.005),
+      lng + between(random, -0.005, 0.005),
+    ]);
+  }
+  return route;
+}
+
+/**
+ * Runs a property check against many random cases; the seed of a failing
+ * case is part of the error message
+ * @param {number} runs - Number of cases
+ * @param {Function} check - Called with a random number generator for each case
+ */
+function forAll(runs, check) {
+  for (let seed = 1; seed <= runs; seed++) {
+    try {
+      check(createRandom(seed));
+    } catch (error) {
+      error.message = `Failed for seed ${seed}: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+export { between, forAll, randomPoint, randomRoute };
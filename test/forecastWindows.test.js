@@ -0,0 +1,108 @@
+// test/forecastWindows.test.js - Tests for forecastWindows.js
+import {
+  planAttemptWindows,
+  formatWindowTime,
+} from "../src/services/forecastWindows.js";
+import { AssistLevel, WindEffect } from "../src/services/weatherAnalysis.js";
+
+const HOUR = 60 * 60;
+const START = 1760000400; // On the hour
+
+// Flat, heading east
+const segment = {
+  distance: 1100,
+  average_grade: 0.5,
+  coordinates: [
+    [0, 0],
+    [0, 0.01],
+  ],
+};
+
+const tailwind = { temp: 20, humidity: 50, wind_speed: 6, wind_deg: 270 };
+const headwind = { temp: 20, humidity: 50, wind_speed: 6, wind_deg: 90 };
+const rain = { ...headwind, rain: { "1h": 2 } };
+
+const forecast = (...hours) => ({
+  current: hours[0],
+  hourly: hours.map((hour, i) => ({ ...hour, dt: START + i * HOUR })),
+});
+
+describe("Forecast Windows", () => {
+  test("should group hours with the same level into windows", () => {
+    const windows = planAttemptWindows(
+      forecast(headwind, tailwind, tailwind, tailwind, rain, headwind),
+      segment
+    );
+
+    // Rides weigh the wind most, so a flat headwind makes an hour as
+    // unfavorable as rain does
+    expect(windows.map((w) => [w.level, w.hours])).toEqual([
+      [AssistLevel.FAVORABLE, 3],
+      [AssistLevel.UNFAVORABLE, 1],
+      [AssistLevel.UNFAVORABLE, 2],
+    ]);
+    expect(windows[0]).toEqual({
+      start: (START + HOUR) * 1000,
+      end: (START + 4 * HOUR) * 1000,
+      hours: 3,
+      level: AssistLevel.FAVORABLE,
+      score: expect.any(Number),
+      windEffect: WindEffect.TAILWIND,
+      message: "Good tailwind conditions",
+      timeDelta: expect.any(Number),
+    });
+    expect(windows[0].timeDelta).toBeLessThan(0);
+  });
+
+  test("should rank windows by score, earlier first on ties", () => {
+    const windows = planAttemptWindows(
+      forecast(headwind, tailwind, rain, tailwind, headwind),
+      segment
+    );
+
+    expect(windows.map((w) => [w.level, w.start / 1000 - START])).toEqual([
+      [AssistLevel.FAVORABLE, HOUR],
+      [AssistLevel.FAVORABLE, 3 * HOUR],
+      [AssistLevel.UNFAVORABLE, 0],
+      [AssistLevel.UNFAVORABLE, 4 * HOUR],
+      [AssistLevel.UNFAVORABLE, 2 * HOUR],
+    ]);
+    windows.slice(1).forEach((entry, i) => {
+      expect(entry.score).toBeLessThanOrEqual(windows[i].score);
+    });
+  });
+
+  test("should split windows at gaps in the forecast", () => {
+    const weather = forecast(tailwind, tailwind);
+    weather.hourly[1].dt += HOUR;
+
+    expect(planAttemptWindows(weather, segment)).toHaveLength(2);
+  });
+
+  test("should only look at the requested hours", () => {
+    const hours = Array.from({ length: 60 }, (_, i) =>
+      i % 2 ? tailwind : headwind
+    );
+
+    expect(
+      planAttemptWindows(forecast(...hours), segment, { maxWindows: 100 })
+    ).toHaveLength(48);
+    expect(
+      planAttemptWindows(forecast(...hours), segment, { hours: 6 })
+    ).toHaveLength(5);
+  });
+
+  test("should plan nothing without a forecast", () => {
+    expect(planAttemptWindows({ current: tailwind }, segment)).toEqual([]);
+    expect(planAttemptWindows(undefined, segment)).toEqual([]);
+  });
+
+  test("should format the time span of a window", () => {
+    const text = formatWindowTime({
+      start: START * 1000,
+      end: (START + 3 * HOUR) * 1000,
+    });
+
+    expect(text).toMatch(/^\S+ .+–.+$/);
+  });
+});
@@ -0,0 +1,152 @@
+// test/geo.test.js - Tests for geo.js
+import {
+  haversineDistance,
+  initialBearing,
+  cumulativeDistances,
+  interpolatePoint,
+  pointAtDistance,
+  encodePolyline,
+  decodePolyline,
+} from "../src/utils/geo.js";
+import {
+  between,
+  forAll,
+  randomPoint,
+  randomRoute,
+} from "./fixtures/randomRoutes.js";
+
+// Smallest difference between two bearings, in degrees
+const angleBetween = (a, b) => Math.abs(((a - b + 540) % 360) - 180);
+
+describe("Geo Utilities", () => {
+  describe("examples", () => {
+    test("should decode the reference polyline", () => {
+      // Example from Google's polyline algorithm documentation
+      const coordinates = decodePolyline("_p~iF~ps|U_ulLnnqC_mqNvxq`@");
+
+      expect(coordinates).toEqual([
+        [38.5, -120.2],
+        [40.7, -120.95],
+        [43.252, -126.453],
+      ]);
+      expect(encodePolyline(coordinates)).toBe("_p~iF~ps|U_ulLnnqC_mqNvxq`@");
+    });
+
+    test("should give compass bearings", () => {
+      expect(initialBearing([0, 0], [1, 0])).toBeCloseTo(0);
+      expect(initialBearing([0, 0], [0, 1])).toBeCloseTo(90);
+      expect(initialBearing([0, 0], [-1, 0])).toBeCloseTo(180);
+      expect(initialBearing([0, 0], [0, -1])).toBeCloseTo(270);
+      // Regression: degrees used to go into Math.sin unconverted
+      expect(initialBearing([51.5, -0.12], [48.85, 2.35])).toBeCloseTo(
+        148.1,
+        0
+      );
+    });
+
+    test("should measure distances", () => {
+      expect(haversineDistance([0, 0], [0, 1])).toBeCloseTo(111195, -1);
+      expect(haversineDistance([51.5, -0.12], [48.85, 2.35])).toBeCloseTo(
+        343500,
+        -3
+      );
+    });
+
+    test("should find points along a route", () => {
+      const route = [
+        [0, 0],
+        [0, 0.01],
+        [0.01, 0.01],
+      ];
+      const legLength = haversineDistance(route[0], route[1]);
+
+      expect(pointAtDistance(route, 0)).toEqual([0, 0]);
+      expect(pointAtDistance(route, legLength / 2)[1]).toBeCloseTo(0.005, 6);
+      expect(pointAtDistance(route, 1e9)).toEqual([0.01, 0.01]);
+      expect(pointAtDistance([], 10)).toBeNull();
+    });
+  });
+
+  describe("properties", () => {
+    test("polyline encoding round-trips to five decimals", () => {
+      forAll(200, (random) => {
+        const route = randomRoute(random);
+        const decoded = decodePolyline(encodePolyline(route));
+
+        expect(decoded).toHaveLength(route.length);
+        decoded.forEach(([lat, lng], i) => {
+          expect(Math.abs(lat - route[i][0])).toBeLessThanOrEqual(
+            0.5e-5 + 1e-12
+          );
+          expect(Math.abs(lng - route[i][1])).toBeLessThanOrEqual(
+            0.5e-5 + 1e-12
+          );
+        });
+        expect(encodePolyline(decoded)).toBe(encodePolyline(route));
+      });
+    });
+
+    test("bearings are compass angles and reverse on short legs", () => {
+      forAll(500, (random) => {
+        const [start] = randomRoute(random, 2);
+        const end = [
+          start[0] + between(random, -0.01, 0.01),
+          start[1] + between(random, -0.01, 0.01),
+        ];
+        const bearing = initialBearing(start, end);
+
+        expect(bearing).toBeGreaterThanOrEqual(0);
+        expect(bearing).toBeLessThan(360);
+        expect(
+          angleBetween(initialBearing(end, start), bearing + 180)
+        ).toBeLessThan(0.05);
+      });
+    });
+
+    test("distances are symmetric and obey the triangle inequality", () => {
+      forAll(500, (random) => {
+        const a = randomPoint(random);
+        const b = randomPoint(random);
+        const c = randomPoint(random);
+
+        expect(haversineDistance(a, a)).toBe(0);
+        expect(haversineDistance(a, b)).toBeCloseTo(haversineDistance(b, a), 6);
+        expect(haversineDistance(a, c)).toBeLessThanOrEqual(
+          haversineDistance(a, b) + haversineDistance(b, c) + 1e-6
+        );
+      });
+    });
+
+    test("cumulative distances add up the legs", () => {
+      forAll(200, (random) => {
+        const route = randomRoute(random);
+        const distances = cumulativeDistances(route);
+
+        expect(distances[0]).toBe(0);
+        let total = 0;
+        for (let i = 1; i < route.length; i++) {
+          total += haversineDistance(route[i - 1], route[i]);
+          expect(distances[i]).toBeGreaterThanOrEqual(distances[i - 1]);
+          expect(distances[i]).toBeCloseTo(total, 6);
+        }
+      });
+    });
+
+    test("interpolated points lie on the way between the ends", () => {
+      forAll(500, (random) => {
+        const [from, to] = randomRoute(random, 2);
+        const fraction = random();
+        const point = interpolatePoint(from, to, fraction);
+        const distance = haversineDistance(from, to);
+
+        expect(haversineDistance(from, point)).toBeCloseTo(
+          fraction * distance,
+          3
+        );
+        expect(
+          haversineDistance(from, point) + haversineDistance(point, to)
+        ).toBeCloseTo(distance, 3);
+      });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// test/messaging.test.js - Tests for messaging.js
+import {
+  MessageType,
+  sendRequest,
+  handleRequests,
+  serializeError,
+  deserializeError,
+} from "../src/messaging.js";
+import {
+  ErrorCode,
+  StravaPluginError,
+  RateLimitError,
+  MissingPolylineError,
+  MissingScopeError,
+  TimeoutError,
+} from "../src/errors.js";
+
+// Message passing APIs, on top of the shared chrome mock from setup.js
+chrome.runtime.sendMessage = jest.fn();
+chrome.runtime.onMessage = { addListener: jest.fn() };
+
+// Connects sendMessage straight to the registered onMessage listeners, the
+// way Chrome delivers messages to the background worker
+const connectListeners = () => {
+  const listeners = [];
+  chrome.runtime.onMessage.addListener.mockImplementation((listener) =>
+    listeners.push(listener)
+  );
+  chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+    const pending = listeners.some((listener) =>
+      listener(message, { id: "test" }, callback)
+    );
+    if (!pending) callback(undefined);
+  });
+};
+
+describe("Messaging", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    chrome.runtime.lastError = null;
+    connectListeners();
+  });
+
+  test("should return the result of the matching handler", async () => {
+    const getSegment = jest.fn(async ({ segmentId }) => ({ id: segmentId }));
+    handleRequests({ [MessageType.GET_SEGMENT]: getSegment });
+
+    await expect(
+      sendRequest(MessageType.GET_SEGMENT, { segmentId: "123" })
+    ).resolves.toEqual({ id: "123" });
+    expect(getSegment).toHaveBeenCalledWith(
+      { segmentId: "123" },
+      { id: "test" }
+    );
+  });
+
+  test("should give every request its own id", async () => {
+    handleRequests({ [MessageType.GET_WEATHER]: () => null });
+
+    await sendRequest(MessageType.GET_WEATHER, { lat: 1, lng: 2 });
+    await sendRequest(MessageType.GET_WEATHER, { lat: 1, lng: 2 });
+
+    const [[first], [second]] = chrome.runtime.sendMessage.mock.calls;
+    expect(first.id).not.toBe(second.id);
+  });
+
+  test("should rebuild handler errors as their own class", async () => {
+    handleRequests({
+      [MessageType.ANALYZE_SEGMENT]: async () => {
+        throw new RateLimitError("Slow down", { retryAfter: 120 });
+      },
+    });
+
+    const error = await sendRequest(MessageType.ANALYZE_SEGMENT, {
+      segmentId: "123",
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.code).toBe(ErrorCode.RATE_LIMITED);
+    expect(error.retryAfter).toBe(120);
+    expect(error.message).toBe("Slow down");
+  });
+
+  test("should reject unknown request types", async () => {
+    handleRequests({});
+
+    await expect(sendRequest("UNKNOWN")).rejects.toThrow(
+      "Unknown request type: UNKNOWN"
+    );
+  });
+
+  test("should leave other messages to other listeners", () => {
+    const handler = jest.fn();
+    handleRequests({ AUTH_CHECK: handler });
+    const [listener] = chrome.runtime.onMessage.addListener.mock.calls[0];
+
+    expect(listener({ type: "AUTH_CHECK" }, {}, jest.fn())).toBe(false);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test("should time out when the background does not answer", async () => {
+    jest.useFakeTimers();
+    chrome.runtime.sendMessage.mockImplementation(() => {});
+
+    const request = sendRequest(
+      MessageType.GET_SEGMENT,
+      { segmentId: "123" },
+      { timeoutMs: 1000 }
+    );
+    jest.advanceTimersByTime(1000);
+
+    await expect(request).rejects.toBeInstanceOf(TimeoutError);
+    jest.useRealTimers();
+  });
+
+  test("should wait out the rate limit window for Strava requests", async () => {
+    jest.useFakeTimers();
+    chrome.runtime.sendMessage.mockImplementation(() => {});
+    const rejected = jest.fn();
+
+    sendRequest(MessageType.GET_SEGMENT, { segmentId: "123" }).catch(rejected);
+    const weather = expect(
+      sendRequest(MessageType.GET_WEATHER, { lat: 1, lng: 2 })
+    ).rejects.toBeInstanceOf(TimeoutError);
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    await weather;
+    expect(rejected).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(15 * 60 * 1000);
+    expect(rejected).toHaveBeenCalledWith(expect.any(TimeoutError));
+    jest.useRealTimers();
+  });
+
+  test("should reject when the background cannot be reached", async () => {
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
+      chrome.runtime.lastError = { message: "Receiving end does not exist." };
+      callback(undefined);
+      chrome.runtime.lastError = null;
+    });
+
+    await expect(sendRequest(MessageType.GET_SEGMENT)).rejects.toThrow(
+      "Receiving end does not exist."
+    );
+  });
+
+  test("should keep error details across the boundary", () => {
+    const missing = deserializeError(
+      serializeError(new MissingPolylineError("123"))
+    );
+    const scopes = deserializeError(
+      serializeError(new MissingScopeError(["activity:read"]))
+    );
+    const other = deserializeError(
+      serializeError(new TypeError("Failed to parse"))
+    );
+
+    expect(missing).toBeInstanceOf(MissingPolylineError);
+    expect(missing.segmentId).toBe("123");
+    expect(scopes).toBeInstanceOf(MissingScopeError);
+    expect(scopes.scopes).toEqual(["activity:read"]);
+    expect(other).toBeInstanceOf(StravaPluginError);
+    expect(other.message).toBe("Failed to parse");
+  });
+});
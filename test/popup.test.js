@@ -1,4 +1,73 @@
 // test/popup.test.js - Tests for popup.js
+import fs from "fs";
+import path from "path";
+import {
+  getAuthData,
+  getActiveAthleteId,
+  getAccounts,
+  hasScope,
+} from "../src/auth.js";
+import {
+  getAthleteProfile,
+  getAllStarredSegments,
+  getAllSegmentEfforts,
+} from "../src/api.js";
+import { getRateLimitUsage } from "../src/services/rateLimiter.js";
+import { exportSegmentsAsZip } from "../src/services/bulkExport.js";
+import { analyzeEffortsWeather } from "../src/services/effortWeather.js";
+import { analyzeSegmentWeather } from "../src/services/segmentWeather.js";
+import { getRiderProfile } from "../src/services/riderProfile.js";
+import { WindEffect } from "../src/services/weatherAnalysis.js";
+import { NetworkError, RateLimitError } from "../src/errors.js";
+
+jest.mock("../src/auth.js", () => ({
+  authenticate: jest.fn(),
+  getAccounts: jest.fn(),
+  getActiveAthleteId: jest.fn(),
+  getAuthData: jest.fn(),
+  hasScope: jest.fn(),
+  logout: jest.fn(),
+  requestScopes: jest.fn(),
+  setActiveAccount: jest.fn(),
+}));
+jest.mock("../src/authEvents.js", () => ({
+  AuthEventType: jest.requireActual("../src/authEvents.js").AuthEventType,
+  onAuthChange: jest.fn(),
+}));
+jest.mock("../src/api.js", () => ({
+  getAthleteProfile: jest.fn(),
+  getAllStarredSegments: jest.fn(),
+  getAllSegmentEfforts: jest.fn(),
+  getSegmentTrack: jest.fn(),
+  convertToGPX: jest.fn(),
+  convertToTCX: jest.fn(),
+  convertToFIT: jest.fn(),
+  convertToGeoJSON: jest.fn(),
+  convertToKML: jest.fn(),
+}));
+jest.mock("../src/services/rateLimiter.js", () => ({
+  getRateLimitUsage: jest.fn(),
+}));
+jest.mock("../src/services/responseCache.js", () => ({
+  clearCache: jest.fn(),
+}));
+jest.mock("../src/services/dataRemoval.js", () => ({
+  deleteAllUserData: jest.fn(),
+}));
+jest.mock("../src/services/bulkExport.js", () => ({
+  exportSegmentsAsZip: jest.fn(),
+}));
+jest.mock("../src/services/effortWeather.js", () => ({
+  analyzeEffortsWeather: jest.fn(),
+}));
+jest.mock("../src/services/segmentWeather.js", () => ({
+  analyzeSegmentWeather: jest.fn(),
+}));
+jest.mock("../src/services/riderProfile.js", () => ({
+  ...jest.requireActual("../src/services/riderProfile.js"),
+  getRiderProfile: jest.fn(),
+  onRiderProfileChange: jest.fn(),
+}));
 
 // Mock chrome API
 global.chrome = {
@@ -34,3 +103,283 @@ describe("Popup Basic Functionality", () => {
     expect(versionElement.textContent).toBe("Version: 0.1.0");
   });
 });
+
+describe("Popup segment list", () => {
+  const segment = (id) => ({ id, name: `Segment ${id}`, distance: 1000 });
+  let segments;
+
+  const flush = async () => {
+    for (let i = 0; i < 5; i++) {
+      await new Promise((resolve) => setTimeout(resolve));
+    }
+  };
+
+  const items = () => Array.from(document.querySelectorAll(".segment-item"));
+
+  const selectedIds = () =>
+    items()
+      .filter((item) => item.querySelector(".segment-checkbox").checked)
+      .map((item) => Number(item.dataset.segmentId));
+
+  const click = (element, options = {}) =>
+    element.dispatchEvent(
+      new MouseEvent("click", { bubbles: true, ...options })
+    );
+
+  beforeAll(async () => {
+    document.documentElement.innerHTML = fs.readFileSync(
+      path.join(__dirname, "../public/popup.html"),
+      "utf8"
+    );
+    URL.createObjectURL = jest.fn(() => "blob:zip");
+    URL.revokeObjectURL = jest.fn();
+    // jsdom cannot follow the download link
+    jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    segments = [1, 2, 3, 4, 5].map(segment);
+    getAuthData.mockResolvedValue({
+      access_token: "token",
+      athlete: { id: 42 },
+    });
+    getActiveAthleteId.mockResolvedValue(42);
+    getAccounts.mockResolvedValue([
+      { id: 42, firstname: "Test", lastname: "Athlete", isActive: true },
+    ]);
+    getAthleteProfile.mockResolvedValue({
+      firstname: "Test",
+      lastname: "Athlete",
+      city: "Lyon",
+      country: "France",
+    });
+    getAllStarredSegments.mockImplementation(async function* () {
+      yield segments;
+    });
+    getRateLimitUsage.mockResolvedValue({
+      shortTerm: { usage: 0, limit: 200 },
+      daily: { usage: 0, limit: 2000 },
+    });
+    getRiderProfile.mockResolvedValue({
+      mass: 80,
+      cda: 0.32,
+      crr: 0.005,
+      power: 200,
+    });
+    exportSegmentsAsZip.mockResolvedValue(new Uint8Array(0));
+
+    require("../src/popup.js");
+    document.dispatchEvent(new Event("DOMContentLoaded"));
+    await flush();
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    click(document.getElementById("select-none-button"));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should toggle a segment without rebuilding the list", () => {
+    const before = items();
+
+    click(before[1]);
+
+    expect(items()).toEqual(before);
+    expect(selectedIds()).toEqual([2]);
+    expect(before[1].classList.contains("selected")).toBe(true);
+    expect(document.getElementById("selection-count").textContent).toBe(
+      "1 selected"
+    );
+    expect(document.getElementById("download-button").disabled).toBe(false);
+
+    click(before[1]);
+    expect(selectedIds()).toEqual([]);
+    expect(document.getElementById("download-button").disabled).toBe(true);
+  });
+
+  test("should show segment names and cities as text", async () => {
+    segments = [
+      {
+        ...segment(1),
+        name: "<img src=x onerror=alert(1)>",
+        average_grade: 4.2,
+        city: "<b>Lyon</b>",
+      },
+    ];
+
+    click(document.getElementById("refresh-button"));
+    await flush();
+
+    const item = items()[0];
+    expect(item.querySelector("img, b")).toBeNull();
+    expect(item.querySelector(".segment-name").textContent).toBe(
+      "<img src=x onerror=alert(1)>"
+    );
+    expect(item.querySelector(".segment-details").textContent).toBe(
+      "1.00 km • 4.2% grade • <b>Lyon</b>"
+    );
+
+    segments = [1, 2, 3, 4, 5].map(segment);
+    click(document.getElementById("refresh-button"));
+    await flush();
+  });
+
+  test("should select a range with shift-click", () => {
+    click(items()[0]);
+    click(items()[3], { shiftKey: true });
+    expect(selectedIds()).toEqual([1, 2, 3, 4]);
+
+    // The range takes the state of the clicked segment
+    click(items()[1], { shiftKey: true });
+    expect(selectedIds()).toEqual([1]);
+  });
+
+  test("should select all and none", () => {
+    click(document.getElementById("select-all-button"));
+    expect(selectedIds()).toEqual([1, 2, 3, 4, 5]);
+
+    click(document.getElementById("select-none-button"));
+    expect(selectedIds()).toEqual([]);
+  });
+
+  test("should keep the selection when the list is refreshed", async () => {
+    click(items()[1]);
+    click(items()[2]);
+    segments = [1, 3, 4].map(segment);
+
+    click(document.getElementById("refresh-button"));
+    await flush();
+
+    expect(selectedIds()).toEqual([3]);
+    expect(document.getElementById("selection-count").textContent).toBe(
+      "1 selected"
+    );
+    expect(document.getElementById("segments-progress").textContent).toBe(
+      "Loaded 3 segments"
+    );
+  });
+
+  test("should export the selection or every segment as a ZIP", async () => {
+    click(items()[0]);
+
+    click(document.getElementById("download-zip-button"));
+    await flush();
+    expect(exportSegmentsAsZip).toHaveBeenLastCalledWith(
+      [segments[0]],
+      expect.anything(),
+      expect.anything()
+    );
+
+    click(document.getElementById("download-all-button"));
+    await flush();
+    expect(exportSegmentsAsZip).toHaveBeenLastCalledWith(
+      segments,
+      expect.anything(),
+      expect.anything()
+    );
+    expect(document.getElementById("download-all-button").textContent).toBe(
+      "Download all"
+    );
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(2);
+  });
+
+  test("should count down until the rate limit resets", async () => {
+    const refreshButton = document.getElementById("refresh-button");
+    const segmentsError = document.getElementById("segments-error");
+    jest.useFakeTimers();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    getAllStarredSegments.mockImplementationOnce(async function* () {
+      throw new RateLimitError(undefined, { retryAfter: 65 });
+    });
+
+    click(refreshButton);
+    await jest.advanceTimersByTimeAsync(0);
+    expect(segmentsError.textContent).toBe(
+      "Strava rate limit reached. Try again in 1:05."
+    );
+    expect(refreshButton.disabled).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(6000);
+    expect(segmentsError.textContent).toBe(
+      "Strava rate limit reached. Try again in 0:59."
+    );
+
+    await jest.advanceTimersByTimeAsync(59000);
+    expect(segmentsError.style.display).toBe("none");
+    expect(refreshButton.disabled).toBe(false);
+
+    console.error.mockRestore();
+  });
+
+  test("should explain a network failure", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    getAllStarredSegments.mockImplementationOnce(async function* () {
+      throw new NetworkError();
+    });
+
+    click(document.getElementById("refresh-button"));
+    await flush();
+
+    expect(document.getElementById("segments-error").textContent).toBe(
+      "You appear to be offline. Check your connection and try again."
+    );
+    console.error.mockRestore();
+  });
+
+  test("should show the wind during a PR the effort list leaves out", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const effort = (id, date, elapsedTime) => ({
+      id,
+      start_date: `${date}T08:00:00Z`,
+      elapsed_time: elapsedTime,
+    });
+    segments = [
+      {
+        ...segment(1),
+        athlete_pr_effort: {
+          pr_elapsed_time: 250,
+          pr_date: "2023-06-01T08:00:00Z",
+          effort_count: 8,
+        },
+      },
+    ];
+    hasScope.mockResolvedValue(true);
+    analyzeSegmentWeather.mockRejectedValue(new NetworkError());
+    getAllSegmentEfforts.mockImplementation(async function* () {
+      yield [effort(11, "2024-01-01", 300), effort(12, "2024-02-01", 290)];
+    });
+    analyzeEffortsWeather.mockImplementation(async (efforts, _, options) =>
+      efforts.map((e) => {
+        const result = {
+          effort: e,
+          analysis: { windEffect: WindEffect.TAILWIND, message: "" },
+        };
+        options.onResult(result);
+        return result;
+      })
+    );
+
+    click(document.getElementById("refresh-button"));
+    await flush();
+    click(items()[0].querySelector(".segment-history-button"));
+    await flush();
+
+    expect(analyzeEffortsWeather.mock.calls[0][0][0].start_date).toBe(
+      "2023-06-01T08:00:00Z"
+    );
+    expect(document.querySelectorAll(".effort-item.pr")).toHaveLength(0);
+    expect(
+      document.getElementById("segment-detail-pr-weather").textContent
+    ).toBe("Your PR was wind-assisted");
+
+    click(document.getElementById("segment-detail-back"));
+    console.error.mockRestore();
+  });
+});
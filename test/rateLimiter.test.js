@@ -0,0 +1,190 @@
+// test/rateLimiter.test.js - Tests for rateLimiter.js
+import { ErrorCode } from "../src/errors.js";
+
+const MINUTE = 60 * 1000;
+
+// Response with Strava's rate limit headers
+const respond = (status = 200, headers = {}) => ({
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+});
+
+const withUsage = (usage, limit = "200,2000") =>
+  respond(200, { "X-RateLimit-Limit": limit, "X-RateLimit-Usage": usage });
+
+// Each test gets its own queue and usage counters
+const loadRateLimiter = () => {
+  let rateLimiter;
+  jest.isolateModules(() => {
+    rateLimiter = require("../src/services/rateLimiter.js");
+  });
+  return rateLimiter;
+};
+
+describe("Rate Limiter", () => {
+  let rateLimiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // Five minutes into a 15-minute window
+    jest.setSystemTime(new Date("2024-03-01T08:05:00Z"));
+    chrome.storage.local.get.mockImplementation((keys, callback) =>
+      callback({})
+    );
+    chrome.storage.local.set.mockImplementation((items, callback) =>
+      callback()
+    );
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    rateLimiter = loadRateLimiter();
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    jest.useRealTimers();
+  });
+
+  test("should run at most four requests at once", async () => {
+    const pending = [];
+    const sendRequest = jest.fn(
+      () => new Promise((resolve) => pending.push(resolve))
+    );
+
+    const requests = Array.from({ length: 6 }, () =>
+      rateLimiter.scheduleRequest(sendRequest)
+    );
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sendRequest).toHaveBeenCalledTimes(4);
+
+    pending[0](respond());
+    await jest.advanceTimersByTimeAsync(0);
+    expect(sendRequest).toHaveBeenCalledTimes(5);
+
+    pending.slice(1).forEach((resolve) => resolve(respond()));
+    await jest.advanceTimersByTimeAsync(0);
+    pending[5](respond());
+    await expect(Promise.all(requests)).resolves.toHaveLength(6);
+  });
+
+  test("should read usage from the rate limit headers", async () => {
+    await rateLimiter.scheduleRequest(() =>
+      Promise.resolve(withUsage("10,20", "100,1000"))
+    );
+
+    const usage = await rateLimiter.getRateLimitUsage();
+    expect(usage.shortTerm).toMatchObject({ usage: 10, limit: 100 });
+    expect(usage.daily).toMatchObject({ usage: 20, limit: 1000 });
+    expect(usage.shortTerm.resetsAt).toBe(
+      new Date("2024-03-01T08:15:00Z").getTime()
+    );
+    expect(chrome.storage.local.set).toHaveBeenCalled();
+  });
+
+  test("should ignore malformed rate limit headers", async () => {
+    await rateLimiter.scheduleRequest(() =>
+      Promise.resolve(withUsage("lots", "100"))
+    );
+
+    const usage = await rateLimiter.getRateLimitUsage();
+    expect(usage.shortTerm).toMatchObject({ usage: 1, limit: 200 });
+    expect(usage.daily).toMatchObject({ usage: 1, limit: 2000 });
+  });
+
+  test("should wait for the next window at 90% of the short-term limit", async () => {
+    await rateLimiter.scheduleRequest(() =>
+      Promise.resolve(withUsage("180,500"))
+    );
+
+    const sendRequest = jest.fn(() => Promise.resolve(respond()));
+    const request = rateLimiter.scheduleRequest(sendRequest);
+
+    await jest.advanceTimersByTimeAsync(10 * MINUTE - 1);
+    expect(sendRequest).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+    await expect(request).resolves.toMatchObject({ status: 200 });
+  });
+
+  test("should fail once the daily limit is nearly used", async () => {
+    await rateLimiter.scheduleRequest(() =>
+      Promise.resolve(withUsage("0,1800"))
+    );
+
+    const sendRequest = jest.fn();
+    const error = await rateLimiter
+      .scheduleRequest(sendRequest)
+      .catch((e) => e);
+
+    expect(error.code).toBe(ErrorCode.RATE_LIMITED);
+    // Until midnight UTC
+    expect(error.retryAfter).toBe((15 * 60 + 55) * 60);
+    expect(sendRequest).not.toHaveBeenCalled();
+  });
+
+  test("should retry a 429 response once the window resets", async () => {
+    const sendRequest = jest
+      .fn()
+      .mockResolvedValueOnce(respond(429))
+      .mockResolvedValueOnce(respond(200));
+
+    const request = rateLimiter.scheduleRequest(sendRequest);
+
+    await jest.advanceTimersByTimeAsync(10 * MINUTE - 1);
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await expect(request).resolves.toMatchObject({ status: 200 });
+    expect(sendRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test("should give up after two retries", async () => {
+    const sendRequest = jest.fn(() => Promise.resolve(respond(429)));
+
+    const request = rateLimiter.scheduleRequest(sendRequest);
+    await jest.advanceTimersByTimeAsync(60 * MINUTE);
+
+    await expect(request).resolves.toMatchObject({ status: 429 });
+    expect(sendRequest).toHaveBeenCalledTimes(3);
+  });
+
+  test("should cancel a request waiting for the rate limit", async () => {
+    await rateLimiter.scheduleRequest(() =>
+      Promise.resolve(withUsage("180,500"))
+    );
+
+    const controller = new AbortController();
+    const sendRequest = jest.fn(() => Promise.resolve(respond()));
+    const request = rateLimiter
+      .scheduleRequest(sendRequest, { signal: controller.signal })
+      .catch((e) => e);
+
+    await jest.advanceTimersByTimeAsync(MINUTE);
+    controller.abort();
+
+    expect((await request).name).toBe("AbortError");
+    await jest.advanceTimersByTimeAsync(10 * MINUTE);
+    expect(sendRequest).not.toHaveBeenCalled();
+  });
+
+  test("should drop a queued request when it is cancelled", async () => {
+    const pending = [];
+    const sendRequest = jest.fn(
+      () => new Promise((resolve) => pending.push(resolve))
+    );
+    const requests = Array.from({ length: 4 }, () =>
+      rateLimiter.scheduleRequest(sendRequest)
+    );
+
+    const controller = new AbortController();
+    const queued = rateLimiter
+      .scheduleRequest(sendRequest, { signal: controller.signal })
+      .catch((e) => e);
+    await jest.advanceTimersByTimeAsync(0);
+    controller.abort();
+
+    expect((await queued).name).toBe("AbortError");
+    pending.forEach((resolve) => resolve(respond()));
+    await Promise.all(requests);
+    expect(sendRequest).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+// test/responseCache.test.js - Tests for responseCache.js
+
+const MB = 1024 * 1024;
+
+// chrome.storage.local backed by a plain object shared by every page
+let stored;
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const useMemoryStorage = () => {
+  stored = {};
+  chrome.storage.local.get.mockImplementation((keys, callback) =>
+    callback(
+      clone(
+        keys === null
+          ? stored
+          : Object.fromEntries(
+              keys
+                .filter((key) => key in stored)
+                .map((key) => [key, stored[key]])
+            )
+      )
+    )
+  );
+  chrome.storage.local.set.mockImplementation((items, callback) => {
+    Object.assign(stored, clone(items));
+    callback();
+  });
+  chrome.storage.local.remove.mockImplementation((keys, callback) => {
+    keys.forEach((key) => delete stored[key]);
+    callback();
+  });
+};
+
+// Each extension page has its own copy of the module and its index
+const openPage = () => {
+  let cache;
+  jest.isolateModules(() => {
+    cache = require("../src/services/responseCache.js");
+  });
+  return cache;
+};
+
+// Lets the delayed index save run
+const saveIndexes = () => jest.advanceTimersByTimeAsync(1000);
+
+describe("Response Cache", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2024-03-01T08:00:00Z"));
+    useMemoryStorage();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("should mark entries stale after their TTL", async () => {
+    const cache = openPage();
+    await cache.setCachedResponse("/segments/1", { id: 1 }, 1000);
+
+    expect(await cache.getCachedResponse("/segments/1")).toEqual({
+      value: { id: 1 },
+      isStale: false,
+    });
+
+    jest.setSystemTime(Date.now() + 1000);
+    expect(await cache.getCachedResponse("/segments/1")).toEqual({
+      value: { id: 1 },
+      isStale: true,
+    });
+    expect(await cache.getCachedResponse("/segments/2")).toBeNull();
+  });
+
+  test("should evict the least recently used entries", async () => {
+    const cache = openPage();
+    const big = "x".repeat(2 * MB);
+
+    await cache.setCachedResponse("a", big, 1000);
+    jest.advanceTimersByTime(1);
+    await cache.setCachedResponse("b", big, 1000);
+    jest.advanceTimersByTime(1);
+    await cache.getCachedResponse("a");
+    jest.advanceTimersByTime(1);
+    await cache.setCachedResponse("c", big, 1000);
+
+    expect(await cache.getCachedResponse("b")).toBeNull();
+    expect(stored["strava_cache:b"]).toBeUndefined();
+    expect(await cache.getCachedResponse("a")).not.toBeNull();
+    expect(await cache.getCachedResponse("c")).not.toBeNull();
+  });
+
+  test("should count the size of entries in bytes", async () => {
+    const cache = openPage();
+    // Two bytes per character in UTF-8, so 3 MB each
+    const accented = "é".repeat(1.5 * MB);
+
+    await cache.setCachedResponse("a", accented, 1000);
+    jest.advanceTimersByTime(1);
+    await cache.setCachedResponse("b", accented, 1000);
+
+    expect(stored["strava_cache:a"]).toBeUndefined();
+    expect(stored["strava_cache:b"]).toBeDefined();
+  });
+
+  test("should merge the indexes of several pages", async () => {
+    const popup = openPage();
+    const worker = openPage();
+    await popup.getCachedResponse("none");
+    await worker.getCachedResponse("none");
+
+    await popup.setCachedResponse("a", 1, 1000);
+    await worker.setCachedResponse("b", 2, 1000);
+    await saveIndexes();
+
+    expect(Object.keys(stored.strava_cache_index).sort()).toEqual(["a", "b"]);
+
+    await popup.clearCache("a");
+    await saveIndexes();
+
+    expect(Object.keys(stored.strava_cache_index)).toEqual(["b"]);
+  });
+
+  test("should evict entries stored by other pages", async () => {
+    const popup = openPage();
+    const worker = openPage();
+    const big = "x".repeat(2 * MB);
+    await popup.getCachedResponse("none");
+    await worker.getCachedResponse("none");
+
+    await popup.setCachedResponse("a", big, 1000);
+    await saveIndexes();
+    await worker.setCachedResponse("b", big, 1000);
+    jest.advanceTimersByTime(1);
+    await worker.setCachedResponse("c", big, 1000);
+
+    expect(stored["strava_cache:a"]).toBeUndefined();
+    expect(stored["strava_cache:b"]).toBeDefined();
+    expect(stored["strava_cache:c"]).toBeDefined();
+  });
+});
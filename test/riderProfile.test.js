@@ -0,0 +1,47 @@
+// test/riderProfile.test.js - Tests for riderProfile.js
+import CONFIG from "../src/config.js";
+import {
+  DEFAULT_RIDER_PROFILE,
+  normalizeRiderProfile,
+  getRiderProfile,
+  saveRiderProfile,
+} from "../src/services/riderProfile.js";
+
+describe("Rider Profile", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should fall back to the defaults for missing or invalid fields", () => {
+    expect(normalizeRiderProfile(undefined)).toEqual(DEFAULT_RIDER_PROFILE);
+    expect(
+      normalizeRiderProfile({ mass: "72.5", cda: 5, crr: "", power: 250 })
+    ).toEqual({ ...DEFAULT_RIDER_PROFILE, mass: 72.5, power: 250 });
+  });
+
+  test("should read the saved profile", async () => {
+    chrome.storage.local.get.mockImplementation((keys, callback) =>
+      callback({ [CONFIG.RIDER_PROFILE_KEY]: { mass: 65, power: 280 } })
+    );
+
+    expect(await getRiderProfile()).toEqual({
+      ...DEFAULT_RIDER_PROFILE,
+      mass: 65,
+      power: 280,
+    });
+  });
+
+  test("should save the profile as normalized", async () => {
+    chrome.storage.local.set.mockImplementation((items, callback) =>
+      callback()
+    );
+
+    const saved = await saveRiderProfile({ mass: "70", cda: "0.25" });
+
+    expect(saved).toEqual({ ...DEFAULT_RIDER_PROFILE, mass: 70, cda: 0.25 });
+    expect(chrome.storage.local.set).toHaveBeenCalledWith(
+      { [CONFIG.RIDER_PROFILE_KEY]: saved },
+      expect.any(Function)
+    );
+  });
+});
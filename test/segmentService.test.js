@@ -0,0 +1,40 @@
+// test/segmentService.test.js - Tests for segmentService.js
+import { getSegmentWithCache } from "../src/services/segmentService.js";
+import { getSegmentDetails } from "../src/api.js";
+
+jest.mock("../src/api.js", () => ({
+  getSegmentDetails: jest.fn(),
+}));
+
+describe("Segment Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("should decode the route and its direction", async () => {
+    getSegmentDetails.mockResolvedValue({
+      id: 1,
+      map: { polyline: "_p~iF~ps|U_ulLnnqC_mqNvxq`@" },
+    });
+
+    const segment = await getSegmentWithCache(1);
+
+    expect(segment.coordinates).toHaveLength(3);
+    expect(segment.start_latlng).toEqual([38.5, -120.2]);
+    expect(segment.end_latlng).toEqual([43.252, -126.453]);
+    expect(segment.direction).toBeGreaterThan(270);
+  });
+
+  test("should ask the API again after an account switch", async () => {
+    getSegmentDetails
+      .mockResolvedValueOnce({ id: 1, athlete_segment_stats: { pr: 100 } })
+      .mockResolvedValueOnce({ id: 1, athlete_segment_stats: { pr: 90 } });
+
+    await getSegmentWithCache(1);
+    const segment = await getSegmentWithCache(1);
+
+    // The API caches per account, so the second account gets its own details
+    expect(getSegmentDetails).toHaveBeenCalledTimes(2);
+    expect(segment.athlete_segment_stats.pr).toBe(90);
+  });
+});
@@ -6,9 +6,15 @@ jest.mock(
   () => ({
     authenticate: jest.fn(),
     getAuthData: jest.fn(),
+    getAccounts: jest.fn(),
+    getActiveAthleteId: jest.fn(),
+    setActiveAccount: jest.fn(),
+    hasScope: jest.fn(),
+    requestScopes: jest.fn(),
     getValidAccessToken: jest.fn(),
     refreshAccessToken: jest.fn(),
     logout: jest.fn(),
+    clearOAuthStates: jest.fn(),
   }),
   { virtual: true }
 );
@@ -0,0 +1,116 @@
+// test/starredSegments.test.js - Tests for the starred segments content script
+import { sendRequest } from "../src/messaging.js";
+
+jest.mock("../src/messaging.js", () => ({
+  MessageType: { ANALYZE_SEGMENT: "ANALYZE_SEGMENT" },
+  sendRequest: jest.fn(),
+}));
+jest.mock("../src/authEvents.js", () => ({
+  AuthEventType: { LOGGED_OUT: "LOGGED_OUT" },
+  onAuthChange: jest.fn(),
+}));
+jest.mock("../src/services/riderProfile.js", () => ({
+  onRiderProfileChange: jest.fn(),
+}));
+
+const {
+  handleAuthEvent,
+  handleRiderProfileChange,
+} = require("../src/contentScripts/starredSegments.js");
+
+const analysis = { level: "Favorable", message: "Good tailwind conditions" };
+
+const flush = () => new Promise((resolve) => setTimeout(resolve));
+
+// Starred segments table with the segment link in the third column
+const renderTable = () => {
+  document.body.innerHTML = `
+    <table class="starred-segments">
+      <thead><tr><th></th><th></th><th>Name</th></tr></thead>
+      <tbody>
+        <tr><td></td><td></td><td><a href="/segments/111">A</a></td></tr>
+      </tbody>
+    </table>`;
+};
+
+const weatherCell = () =>
+  document.querySelector("td.strava-plugin-weather-assist");
+
+describe("Starred Segments Content Script", () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    sendRequest.mockResolvedValue(analysis);
+    // The content script adds the column once the table shows up
+    renderTable();
+    await flush();
+    sendRequest.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test("should reload the column for a new rider profile", async () => {
+    handleRiderProfileChange();
+    await flush();
+
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+    expect(weatherCell().textContent).toBe("Favorable");
+  });
+
+  test("should not bring back a removed column for a new rider profile", () => {
+    handleAuthEvent({
+      type: "LOGGED_OUT",
+      athleteId: 1,
+      activeAthleteId: null,
+    });
+    handleRiderProfileChange();
+
+    expect(sendRequest).not.toHaveBeenCalled();
+    expect(weatherCell()).toBeNull();
+  });
+
+  test("should retry a rate limited segment once the limit resets", async () => {
+    jest.useFakeTimers();
+    sendRequest.mockRejectedValueOnce(
+      Object.assign(new Error("Rate limited"), {
+        code: "RATE_LIMITED",
+        retryAfter: 120,
+      })
+    );
+
+    handleRiderProfileChange();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(weatherCell().textContent).toBe("Rate limited, retrying in 2 min");
+
+    await jest.advanceTimersByTimeAsync(119 * 1000);
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sendRequest).toHaveBeenCalledTimes(2);
+    expect(weatherCell().textContent).toBe("Favorable");
+  });
+
+  test("should not retry a segment whose column was removed", async () => {
+    jest.useFakeTimers();
+    sendRequest.mockRejectedValueOnce(
+      Object.assign(new Error("Rate limited"), { code: "RATE_LIMITED" })
+    );
+
+    handleRiderProfileChange();
+    await jest.advanceTimersByTimeAsync(0);
+    handleAuthEvent({
+      type: "LOGGED_OUT",
+      athleteId: 1,
+      activeAthleteId: null,
+    });
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(sendRequest).toHaveBeenCalledTimes(1);
+    expect(weatherCell()).toBeNull();
+  });
+});
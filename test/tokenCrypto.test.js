@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+// test/tokenCrypto.test.js - Tests for tokenCrypto.js
+import {
+  decryptTokens,
+  deleteTokenKey,
+  encryptTokens,
+  isTokenKeyAvailable,
+} from "../src/services/tokenCrypto.js";
+import { TokenDecryptionError } from "../src/errors.js";
+
+// Minimal in-memory IndexedDB: one database with plain key/value stores
+const createIndexedDB = () => {
+  const stores = {};
+
+  const request = (getResult) => {
+    const req = {};
+    setTimeout(() => {
+      try {
+        req.result = getResult();
+      } catch (error) {
+        req.error = error;
+        req.onerror();
+        return;
+      }
+      req.onsuccess();
+    });
+    return req;
+  };
+
+  // add fails like IndexedDB does when the key is taken
+  const add = (store, value, key) => {
+    if (store.has(key)) {
+      throw Object.assign(new Error("Key already exists"), {
+        name: "ConstraintError",
+      });
+    }
+    store.set(key, value);
+  };
+
+  const db = {
+    createObjectStore: (name) => {
+      stores[name] = new Map();
+    },
+    transaction: (name) => ({
+      objectStore: () => ({
+        get: (key) => request(() => stores[name].get(key)),
+        put: (value, key) => request(() => stores[name].set(key, value)),
+        add: (value, key) => request(() => add(stores[name], value, key)),
+        delete: (key) => request(() => stores[name].delete(key)),
+      }),
+    }),
+    close: () => {},
+  };
+
+  return {
+    stores,
+    open: () => {
+      const req = { result: db };
+      setTimeout(() => {
+        if (Object.keys(stores).length === 0) req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+};
+
+const tokens = {
+  access_token: "test_access_token",
+  refresh_token: "test_refresh_token",
+};
+
+describe("Token Crypto", () => {
+  beforeEach(() => {
+    global.indexedDB = createIndexedDB();
+    global.location = { protocol: "chrome-extension:" };
+  });
+
+  afterEach(() => {
+    delete global.location;
+  });
+
+  test("should only use the key in extension contexts", async () => {
+    expect(isTokenKeyAvailable()).toBe(true);
+
+    global.location = { protocol: "https:" };
+
+    expect(isTokenKeyAvailable()).toBe(false);
+    await expect(encryptTokens(tokens)).rejects.toThrow(
+      "only available to extension pages"
+    );
+  });
+
+  test("should round-trip tokens without storing them in plain text", async () => {
+    const encrypted = await encryptTokens(tokens);
+
+    expect(JSON.stringify(encrypted)).not.toContain("test_access_token");
+    expect(atob(encrypted.iv)).toHaveLength(12);
+    await expect(decryptTokens(encrypted)).resolves.toEqual(tokens);
+  });
+
+  test("should use a fresh IV for every encryption", async () => {
+    const first = await encryptTokens(tokens);
+    const second = await encryptTokens(tokens);
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(first.data).not.toBe(second.data);
+  });
+
+  test("should keep the first key when pages create it at once", async () => {
+    const [first, second] = await Promise.all([
+      encryptTokens(tokens),
+      encryptTokens({ ...tokens, access_token: "other" }),
+    ]);
+
+    await expect(decryptTokens(first)).resolves.toEqual(tokens);
+    await expect(decryptTokens(second)).resolves.toEqual({
+      ...tokens,
+      access_token: "other",
+    });
+  });
+
+  test("should keep a non-extractable key", async () => {
+    await encryptTokens(tokens);
+    const key = global.indexedDB.stores.keys.get("tokens");
+
+    expect(key.extractable).toBe(false);
+    await expect(crypto.subtle.exportKey("raw", key)).rejects.toThrow();
+  });
+
+  test("should reject altered data", async () => {
+    const encrypted = await encryptTokens(tokens);
+    const bytes = Uint8Array.from(atob(encrypted.data), (c) => c.charCodeAt(0));
+    bytes[0] ^= 1;
+    const altered = { ...encrypted, data: btoa(String.fromCharCode(...bytes)) };
+
+    await expect(decryptTokens(altered)).rejects.toBeInstanceOf(
+      TokenDecryptionError
+    );
+  });
+
+  test("should fail safely once the key is deleted", async () => {
+    const encrypted = await encryptTokens(tokens);
+
+    await expect(deleteTokenKey()).resolves.toBe(true);
+    await expect(deleteTokenKey()).resolves.toBe(false);
+    await expect(decryptTokens(encrypted)).rejects.toThrow(
+      "The token encryption key is missing."
+    );
+
+    // A new key is created on the next save, but old data stays unreadable
+    await encryptTokens(tokens);
+    await expect(decryptTokens(encrypted)).rejects.toBeInstanceOf(
+      TokenDecryptionError
+    );
+  });
+});
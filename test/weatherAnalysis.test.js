@@ -0,0 +1,219 @@
+// test/weatherAnalysis.test.js - Tests for weatherAnalysis.js
+import {
+  analyzeWeather,
+  analyzeRouteWind,
+  AssistLevel,
+  Sport,
+  WindEffect,
+} from "../src/services/weatherAnalysis.js";
+import { between, forAll, randomRoute } from "./fixtures/randomRoutes.js";
+
+// About 1.1 km per 0.01 degrees near the equator
+const east = [
+  [0, 0],
+  [0, 0.01],
+];
+const outAndBack = [
+  [0, 0],
+  [0, 0.01],
+  [0, 0],
+];
+const lShaped = [
+  [0, 0],
+  [0, 0.03], // 3 units east
+  [0.01, 0.03], // 1 unit north
+];
+
+// Wind direction is where the wind comes from
+const westerly = { speed: 5, deg: 270 };
+
+const weatherWith = (wind) => ({
+  current: {
+    temp: 18,
+    humidity: 50,
+    wind_speed: wind.speed,
+    wind_deg: wind.deg,
+  },
+});
+
+describe("Weather Analysis", () => {
+  test("should treat wind from behind as a tailwind", () => {
+    const wind = analyzeRouteWind(westerly, { coordinates: east });
+
+    expect(wind.tailwindShare).toBeCloseTo(1);
+    expect(wind.headwindShare).toBeCloseTo(0);
+    expect(wind.effectiveWind).toBeCloseTo(5);
+  });
+
+  test("should treat wind from ahead as a headwind", () => {
+    const wind = analyzeRouteWind({ speed: 5, deg: 90 }, { coordinates: east });
+
+    expect(wind.headwindShare).toBeCloseTo(1);
+    expect(wind.effectiveWind).toBeCloseTo(-5);
+  });
+
+  test("should cancel out on an out-and-back segment", () => {
+    const wind = analyzeRouteWind(westerly, { coordinates: outAndBack });
+
+    expect(wind.tailwindShare).toBeCloseTo(0.5);
+    expect(wind.headwindShare).toBeCloseTo(0.5);
+    expect(wind.effectiveWind).toBeCloseTo(0);
+  });
+
+  test("should weight legs by their length", () => {
+    const wind = analyzeRouteWind(westerly, { coordinates: lShaped });
+
+    expect(wind.tailwindShare).toBeCloseTo(0.75, 2);
+    expect(wind.crosswindShare).toBeCloseTo(0.25, 2);
+    expect(wind.effectiveWind).toBeCloseTo(3.75, 1);
+  });
+
+  test("should fall back to the start and end points", () => {
+    const wind = analyzeRouteWind(westerly, {
+      start_latlng: east[0],
+      end_latlng: east[1],
+    });
+
+    expect(wind.tailwindShare).toBeCloseTo(1);
+    expect(analyzeRouteWind(westerly, {})).toBeNull();
+  });
+
+  test("should score a tailwind along the whole route", () => {
+    const analysis = analyzeWeather(weatherWith(westerly), {
+      coordinates: east,
+      average_grade: 1,
+      distance: 1100,
+    });
+
+    expect(analysis.windEffect).toBe(WindEffect.TAILWIND);
+    expect(analysis.factors.wind).toBe(1);
+    expect(analysis.level).toBe(AssistLevel.FAVORABLE);
+  });
+
+  test("should not call an out-and-back segment wind-assisted", () => {
+    const analysis = analyzeWeather(weatherWith(westerly), {
+      coordinates: outAndBack,
+      average_grade: 1,
+      distance: 2200,
+    });
+
+    expect(analysis.windEffect).toBe(WindEffect.MIXED);
+    expect(analysis.factors.wind).toBeCloseTo(0);
+  });
+
+  test("should treat light wind as calm", () => {
+    const analysis = analyzeWeather(weatherWith({ speed: 0.5, deg: 270 }), {
+      coordinates: east,
+    });
+
+    expect(analysis.windEffect).toBe(WindEffect.CALM);
+    expect(analysis.wind).toBeNull();
+    expect(analysis.factors.wind).toBe(0);
+  });
+
+  test("should estimate the time gained from the wind", () => {
+    const segment = { coordinates: east, distance: 2000, average_grade: 0 };
+    const tailwind = analyzeWeather(weatherWith(westerly), segment);
+    const slower = analyzeWeather(weatherWith(westerly), segment, {
+      mass: 80,
+      cda: 0.32,
+      crr: 0.005,
+      power: 100,
+    });
+
+    expect(tailwind.timeEstimate.delta).toBeLessThan(0);
+    // Slower riders spend longer in the wind
+    expect(slower.timeEstimate.delta).toBeLessThan(tailwind.timeEstimate.delta);
+    expect(
+      analyzeWeather(weatherWith({ speed: 0, deg: 0 }), segment).timeEstimate
+        .delta
+    ).toBe(0);
+    expect(analyzeWeather(weatherWith(westerly), {}).timeEstimate).toBeNull();
+  });
+
+  test("should score for the sport of the segment", () => {
+    const ride = { coordinates: east, average_grade: 1, distance: 1100 };
+    const run = { ...ride, activity_type: Sport.RUN };
+
+    expect(analyzeWeather(weatherWith(westerly), ride).factors.sport).toBe(
+      Sport.RIDE
+    );
+    expect(analyzeWeather(weatherWith(westerly), run).factors.sport).toBe(
+      Sport.RUN
+    );
+    // The power model is for bikes
+    expect(analyzeWeather(weatherWith(westerly), run).timeEstimate).toBeNull();
+  });
+
+  test("should weigh heat and humidity more for running", () => {
+    const ride = { coordinates: east, average_grade: 1, distance: 1100 };
+    const run = { ...ride, activity_type: Sport.RUN };
+    const muggy = weatherWith(westerly);
+    Object.assign(muggy.current, { temp: 29, humidity: 75, dew_point: 24 });
+
+    const rideAnalysis = analyzeWeather(muggy, ride);
+    const runAnalysis = analyzeWeather(muggy, run);
+
+    expect(rideAnalysis.level).toBe(AssistLevel.FAVORABLE);
+    expect(runAnalysis.level).toBe(AssistLevel.UNFAVORABLE);
+    expect(runAnalysis.message).toBe("Excessive heat");
+    expect(runAnalysis.factors.humidity).toBe(-1);
+  });
+
+  test("should score missing conditions as neutral for running", () => {
+    const run = { coordinates: east, activity_type: Sport.RUN };
+    const analysis = analyzeWeather({ current: {} }, run);
+
+    expect(analysis.level).toBe(AssistLevel.NEUTRAL);
+    expect(analysis.factors.temperature).toBe(0);
+    expect(analysis.factors.humidity).toBe(0);
+    expect(() => analyzeWeather({ current: undefined }, run)).not.toThrow();
+    expect(
+      analyzeWeather({ current: { temp: 20 } }, run).factors.humidity
+    ).toBe(0);
+  });
+
+  test("should weigh the wind less for running", () => {
+    const ride = { coordinates: east, average_grade: 1, distance: 1100 };
+    const run = { ...ride, activity_type: Sport.RUN };
+    const easterly = { speed: 5, deg: 90 };
+    const windSwing = (segment) =>
+      analyzeWeather(weatherWith(westerly), segment).score -
+      analyzeWeather(weatherWith(easterly), segment).score;
+
+    expect(windSwing(run)).toBeGreaterThan(0);
+    expect(windSwing(run)).toBeLessThan(windSwing(ride) / 2);
+  });
+
+  test("route wind should hold for any route and wind", () => {
+    forAll(200, (random) => {
+      const coordinates = randomRoute(random);
+      const wind = { speed: between(random, 1, 15), deg: random() * 360 };
+      const routeWind = analyzeRouteWind(wind, { coordinates });
+      const reversedWind = analyzeRouteWind(
+        { ...wind, deg: (wind.deg + 180) % 360 },
+        { coordinates }
+      );
+      const reversedRoute = analyzeRouteWind(wind, {
+        coordinates: [...coordinates].reverse(),
+      });
+
+      expect(
+        routeWind.tailwindShare +
+          routeWind.headwindShare +
+          routeWind.crosswindShare
+      ).toBeCloseTo(1, 9);
+      expect(Math.abs(routeWind.effectiveWind)).toBeLessThanOrEqual(
+        wind.speed + 1e-9
+      );
+      expect(reversedWind.effectiveWind).toBeCloseTo(
+        -routeWind.effectiveWind,
+        6
+      );
+      expect(reversedRoute.effectiveWind).toBeCloseTo(
+        -routeWind.effectiveWind,
+        1
+      );
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// test/weatherApi.test.js - Tests for weatherApi.js
+import { getHistoricalWeather } from "../src/services/weatherApi.js";
+import { BackendError } from "../src/errors.js";
+
+const respondWith = (body, ok = true) =>
+  Promise.resolve({
+    ok,
+    statusText: ok ? "OK" : "Bad Gateway",
+    status: ok ? 200 : 502,
+    json: () => Promise.resolve(body),
+  });
+
+describe("Weather API", () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test("should return the historical conditions as current", async () => {
+    const conditions = { dt: 1709280000, temp: 12, wind_speed: 3 };
+    fetch.mockReturnValue(respondWith({ lat: 1, lon: 2, data: [conditions] }));
+
+    const weather = await getHistoricalWeather(1, 2, 1709280000);
+
+    expect(weather.current).toEqual(conditions);
+    expect(fetch.mock.calls[0][0]).toContain("dt=1709280000");
+  });
+
+  test("should fail when no conditions come back", async () => {
+    fetch.mockReturnValue(respondWith({ lat: 1, lon: 2 }));
+    await expect(getHistoricalWeather(1, 2, 1709280000)).rejects.toBeInstanceOf(
+      BackendError
+    );
+
+    fetch.mockReturnValue(respondWith({ lat: 1, lon: 2, data: [] }));
+    await expect(getHistoricalWeather(1, 2, 1709280000)).rejects.toBeInstanceOf(
+      BackendError
+    );
+  });
+
+  test("should fail when the service fails", async () => {
+    fetch.mockReturnValue(respondWith({}, false));
+
+    await expect(getHistoricalWeather(1, 2, 1709280000)).rejects.toMatchObject({
+      status: 502,
+    });
+  });
+});
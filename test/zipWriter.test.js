@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+// test/zipWriter.test.js - Tests for zipWriter.js
+import { createZip } from "../src/services/zipWriter.js";
+
+// Reads the entries listed in the central directory of an archive
+const readCentralDirectory = (zip) => {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  const size = view.getUint32(end + 12, true);
+  let position = view.getUint32(end + 16, true);
+  expect(position + size).toBe(end);
+
+  const decoder = new TextDecoder();
+  return Array.from({ length: count }, () => {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(position + 28, true);
+    const entry = {
+      crc: view.getUint32(position + 16, true),
+      size: view.getUint32(position + 24, true),
+      offset: view.getUint32(position + 42, true),
+      name: decoder.decode(
+        zip.subarray(position + 46, position + 46 + nameLength)
+      ),
+    };
+    position += 46 + nameLength;
+    return entry;
+  });
+};
+
+describe("ZIP Writer", () => {
+  test("should record the CRC-32 and size of each file", () => {
+    const zip = createZip([
+      { name: "check.txt", content: "123456789" },
+      { name: "empty.txt", content: new Uint8Array(0) },
+    ]);
+
+    const entries = readCentralDirectory(zip);
+    expect(entries).toEqual([
+      expect.objectContaining({ name: "check.txt", crc: 0xcbf43926, size: 9 }),
+      expect.objectContaining({ name: "empty.txt", crc: 0, size: 0 }),
+    ]);
+  });
+
+  test("should point the central directory at each local header", () => {
+    const zip = createZip([
+      { name: "Col du Café.gpx", content: "<gpx/>" },
+      { name: "manifest.csv", content: "id,name" },
+    ]);
+    const view = new DataView(zip.buffer);
+    const decoder = new TextDecoder();
+
+    readCentralDirectory(zip).forEach(({ name, crc, size, offset }) => {
+      expect(view.getUint32(offset, true)).toBe(0x04034b50);
+      expect(view.getUint32(offset + 14, true)).toBe(crc);
+      expect(view.getUint32(offset + 22, true)).toBe(size);
+
+      const nameLength = view.getUint16(offset + 26, true);
+      expect(
+        decoder.decode(zip.subarray(offset + 30, offset + 30 + nameLength))
+      ).toBe(name);
+    });
+  });
+
+  test("should write an empty archive", () => {
+    const zip = createZip([]);
+
+    expect(zip).toHaveLength(22);
+    expect(readCentralDirectory(zip)).toEqual([]);
+  });
+});